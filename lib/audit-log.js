@@ -0,0 +1,186 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const Promise = require('bluebird');
+const r = require('rethinkdb');
+
+const errors = require('./errors');
+
+// Deep equality of field values, keys of objects compared whatever their order
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return a === b;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, idx) => sameValue(item, b[idx]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameValue(a[key], b[key]));
+}
+
+// Records written in the same millisecond share their timestamp, this orders them. Increasing within the process and
+// following the clock across processes
+let lastSequence = 0;
+function nextSequence() {
+  lastSequence = Math.max(lastSequence + 1, Date.now() * 1000);
+  return lastSequence;
+}
+
+// Fields that changed between two versions of an entry, a side missing from a pair means the field did not exist
+function diff(oldVal, newVal) {
+  const before = oldVal || {};
+  const after = newVal || {};
+  const changes = {};
+  Object.keys(Object.assign({}, before, after)).forEach((field) => {
+    if (sameValue(before[field], after[field])) {
+      return;
+    }
+    const pair = {};
+    if (before[field] !== undefined) {
+      pair.from = before[field];
+    }
+    if (after[field] !== undefined) {
+      pair.to = after[field];
+    }
+    changes[field] = pair;
+  });
+  return changes;
+}
+
+// Writes a record of every change of a CachedRethinkDB table to a companion table, and reads them back
+// Records of an entry are numbered from 1 in the order of their sequence, that number is the version revert() takes
+class AuditLog {
+  constructor({cachedDb, table}) {
+    this.cachedDb = cachedDb;
+    this.table = table;
+  }
+
+  createTable({reqId}) {
+    const cachedDb = this.cachedDb;
+    return cachedDb.dbRun('auditCreateTable', r.tableCreate(this.table))
+      .then(() => cachedDb.dbRun('auditCreateTable', r.table(this.table).indexCreate('entrySequence', [r.row('entryId'), r.row('sequence'), r.row('id')])))
+      .then(() => cachedDb.dbRun('auditCreateTable', r.table(this.table).indexWait('entrySequence')))
+      .then(() => {
+        cachedDb.logger.trace({ reqId, table: cachedDb.table, auditTable: this.table }, 'Created audit table');
+        return this.table;
+      });
+  }
+
+  dropTable({reqId}) {
+    const cachedDb = this.cachedDb;
+    return cachedDb.dbRun('auditDropTable', r.tableDrop(this.table)).then(() => {
+      cachedDb.logger.trace({ reqId, table: cachedDb.table, auditTable: this.table }, 'Dropped audit table');
+      return this.table;
+    });
+  }
+
+  // The change is already in DB by then, so a failure to record it is reported as an auditError event instead of
+  // failing the operation
+  record({reqId, operation, actor, changes}) {
+    const cachedDb = this.cachedDb;
+    const records = [];
+    changes.forEach((change) => {
+      if (change.error) {
+        return;
+      }
+      const changed = diff(change.old_val, change.new_val);
+      if (!Object.keys(changed).length) {
+        return;
+      }
+      const record = {
+        table: cachedDb.table,
+        entryId: cachedDb.entryIdentifier(change.new_val || change.old_val),
+        operation,
+        timestamp: r.now(),
+        sequence: nextSequence(),
+        diff: changed,
+      };
+      if (reqId !== undefined) {
+        record.reqId = reqId;
+      }
+      if (actor !== undefined) {
+        record.actor = actor;
+      }
+      if (cachedDb.tenant !== null) {
+        record.tenant = cachedDb.tenant;
+      }
+      records.push(record);
+    });
+    if (!records.length) {
+      return Promise.resolve(0);
+    }
+    return cachedDb.dbRun('auditRecord', r.table(this.table).insert(r.expr(records))).then((dbResult) => {
+      if (dbResult.errors) {
+        throw new errors.DatabaseWriteError('Error occurred during record audit', { dbResult, cause: dbResult.first_error });
+      }
+      cachedDb.logger.trace({ reqId, operation, count: records.length, table: cachedDb.table }, 'Recorded audit');
+      return records.length;
+    }).catch((err) => {
+      cachedDb.logger.error({ reqId, operation, err, table: cachedDb.table, auditTable: this.table }, 'Cannot record audit');
+      cachedDb.emit('auditError', err, { operation, records });
+      return 0;
+    });
+  }
+
+  // Records of an entry in the order they were written, only the ones written through the same tenant view
+  entryRecords(uid, order) {
+    const records = r.table(this.table).between([uid, r.minval, r.minval], [uid, r.maxval, r.maxval], { index: 'entrySequence' }).orderBy({ index: order });
+    return this.cachedDb.tenant !== null ? records.filter({ tenant: this.cachedDb.tenant }) : records;
+  }
+
+  // Latest records of an entry first, each with its version
+  history({uid, limit}) {
+    const entryRecords = this.entryRecords(uid, r.desc('entrySequence'));
+    return Promise.all([
+      this.cachedDb.dbRun('history', entryRecords.count()),
+      this.cachedDb.dbRun('history', entryRecords.limit(limit).coerceTo('array')),
+    ]).then(([count, records]) => records.map((record, idx) => Object.assign({ version: count - idx }, record)));
+  }
+
+  // The update bringing an entry back to the given version, made by undoing the diffs of every later record
+  // Nested objects are wrapped in r.literal so that update() replaces them instead of merging into them
+  revertUpdate({uid, toVersion, skipFields}) {
+    return this.cachedDb.dbRun('revert', this.entryRecords(uid, 'entrySequence').coerceTo('array')).then((records) => {
+      if (toVersion > records.length) {
+        throw new errors.NotFoundError(`Version ${toVersion} of entry does not exist`);
+      }
+      const update = {};
+      records.slice(toVersion).reverse().forEach((record) => {
+        Object.keys(record.diff).forEach((field) => {
+          if (skipFields.indexOf(field) >= 0) {
+            return;
+          }
+          const value = record.diff[field].from;
+          if (value === undefined) {
+            update[field] = r.literal();
+          } else if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+            update[field] = r.literal(value);
+          } else {
+            update[field] = value;
+          }
+        });
+      });
+      return update;
+    });
+  }
+}
+
+module.exports = AuditLog;
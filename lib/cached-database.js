@@ -17,15 +17,33 @@
 'use strict';
 
 const Promise = require('bluebird'); // eslint-disable-line no-unused-vars
+const Ajv = require('ajv');
+const EventEmitter = require('events');
 const Immutable = require('seamless-immutable');
 const r = require('rethinkdb');
 
 const uuid = require('uuid');
 
+const AuditLog = require('./audit-log');
+const ChangeFeed = require('./change-feed');
+const CircuitBreaker = require('./circuit-breaker');
+const ConnectionPool = require('./connection-pool');
+const errors = require('./errors');
+const hooks = require('./hooks');
+const LocalCache = require('./local-cache');
+const metricsModule = require('./metrics');
+const SchemaManager = require('./schema-manager');
+const Serializer = require('./serializer');
+const WriteBehindQueue = require('./write-behind-queue');
+
+const mergePatch = WriteBehindQueue.mergePatch;
+
 function validateRedisKey(idOrEntry, redisKeyFn) {
   return Promise.resolve().then(() => {
     const redisKey = redisKeyFn(idOrEntry);
     return redisKey;
+  }).catch((err) => {
+    throw errors.wrap(err, errors.InvalidIdentifierError, { id: idOrEntry });
   });
 }
 
@@ -33,7 +51,191 @@ function validateUUID(idOrEntry, entryIdFn) {
   return Promise.resolve().then(() => {
     const identifier = entryIdFn(idOrEntry);
     return identifier;
+  }).catch((err) => {
+    throw errors.wrap(err, errors.InvalidIdentifierError, { id: idOrEntry });
+  });
+}
+
+function validateTTL(ttl, defaultTTL) {
+  return Promise.resolve().then(() => {
+    if (ttl === undefined || ttl === null) {
+      return defaultTTL;
+    }
+    // Redis EX only takes whole seconds
+    if (!Number.isInteger(ttl) || ttl <= 0) {
+      throw new errors.InvalidArgumentError('ttl must be a positive integer');
+    }
+    return ttl;
+  });
+}
+
+// Marks an id known to be missing from DB when negative caching is enabled
+const TOMBSTONE = Symbol('tombstone');
+const tombstoneValue = '__tombstone__';
+
+const versionConflict = 'Version conflict';
+const tenantConflict = 'Entry belongs to another tenant';
+const deletedAtField = 'deletedAt';
+const deletedByField = 'deletedBy';
+
+// Entries resolved per query, well below the 100000 elements RethinkDB takes in an array by default
+const resolveTermsBatch = 10000;
+
+// Tenant ids end up in redis keys, so they cannot hold the separator
+function isTenantId(value) {
+  return typeof value === 'string' && !!value && value.indexOf(':') < 0;
+}
+
+// Counter each of the stats is mirrored to
+const statMetrics = {
+  hits: 'cachedb_cache_hits_total',
+  misses: 'cachedb_cache_misses_total',
+  negativeHits: 'cachedb_cache_negative_hits_total',
+  coalesced: 'cachedb_loads_coalesced_total',
+  lockWaits: 'cachedb_load_lock_waits_total',
+  localHits: 'cachedb_local_cache_hits_total',
+  staleHits: 'cachedb_cache_stale_hits_total',
+};
+
+// With softTTL, cached values are prefixed with the time they stay fresh until as @<epoch ms>@. Values cached
+// before softTTL was turned on have no prefix and stay fresh. Serialized values start with # or {, so the prefix is
+// stripped whatever the options, and values cached with softTTL are still read once it is turned off
+function splitFreshness(cached) {
+  const prefix = /^@(\d+)@/.exec(cached);
+  if (!prefix) {
+    return { freshUntil: Infinity, serialized: cached };
+  }
+  return { freshUntil: Number(prefix[1]), serialized: cached.slice(prefix[0].length) };
+}
+
+// Entries fetched past their fresh-until time, retrieve serves them while reloading in the background
+const staleEntries = new WeakSet();
+
+// Delete the lock only if it is still held by the given token
+const releaseLockScript = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Value an entry holds for an index, undefined if the entry is not part of the index
+function indexValue(fields, entry) {
+  const values = fields.map(field => entry[field]);
+  if (values.some(value => value === undefined || value === null)) {
+    return undefined;
+  }
+  return fields.length === 1 ? values[0] : values;
+}
+
+// Update objects without ReQL terms can be applied to a cached copy directly
+function isPlainValue(value) {
+  if (typeof value === 'function') {
+    return false;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).every(key => isPlainValue(value[key]));
+  }
+  return true;
+}
+
+// Bump the version within the update unless it leaves the entry as it is, and fail it unless the stored version is
+// the expected one
+function versionedUpdate(updateObjOrFn, versionField, expectedVersion) {
+  return (row) => {
+    const changes = r.expr(typeof updateObjOrFn === 'function' ? updateObjOrFn(row) : updateObjOrFn);
+    const update = r.branch(row.merge(changes).eq(row), changes, changes.merge({ [versionField]: row(versionField).default(0).add(1) }));
+    if (expectedVersion === undefined) {
+      return update;
+    }
+    return r.branch(row(versionField).default(0).eq(expectedVersion), update, r.error(versionConflict));
+  };
+}
+
+// Turn the schema option into a function listing the failing paths of an entry, empty when the entry is valid
+// A validation function returns true when valid, otherwise false or a list of failures as { path, message } or message strings
+function compileSchema(schema) {
+  if (typeof schema === 'function') {
+    return (entry) => {
+      const result = schema(entry);
+      if (result === true || result === undefined || result === null) {
+        return [];
+      }
+      if (result === false) {
+        return [{ path: '', message: 'is invalid' }];
+      }
+      return [].concat(result).map(failure => (typeof failure === 'string' ? { path: '', message: failure } : failure));
+    };
+  }
+  const validate = new Ajv({ allErrors: true }).compile(schema);
+  return (entry) => {
+    if (validate(entry)) {
+      return [];
+    }
+    return validate.errors.map((error) => {
+      const path = error.keyword === 'required' ? `${error.dataPath}.${error.params.missingProperty}` : error.dataPath;
+      return { path: path.replace(/^\./, ''), message: error.message };
+    });
+  };
+}
+
+function schemaError(entry, failures) {
+  const paths = failures.map(failure => failure.path || '(root)').join(', ');
+  return new errors.ValidationError(`Entry failed schema validation at ${paths}`, { entry, failures });
+}
+
+// Index the change records of a bulk write by the identifier of the entry they belong to
+function changesById(changes, entryIdentifier) {
+  const byId = new Map();
+  changes.forEach((change) => {
+    const entry = change.new_val || change.old_val;
+    if (entry) {
+      byId.set(entryIdentifier(entry), change);
+    }
   });
+  return byId;
+}
+
+// Opaque token pointing at the last entry of a page
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64');
+}
+
+function decodeCursor(cursor, index, orderBy) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (err) {
+    position = null;
+  }
+  if (!position || position.index !== index || position.orderBy !== orderBy) {
+    throw new errors.InvalidArgumentError('Invalid cursor');
+  }
+  return position;
+}
+
+// Read up to size rows from a cursor, fewer only once it is exhausted
+function nextBatch(cursor, size) {
+  const rows = [];
+  const next = () => {
+    if (rows.length >= size) {
+      return Promise.resolve(rows);
+    }
+    return Promise.resolve(cursor.next()).then((row) => {
+      rows.push(row);
+      return next();
+    }, (err) => {
+      if (err.name === 'ReqlDriverError' && err.message === 'No more rows in the cursor.') {
+        return rows;
+      }
+      throw err;
+    });
+  };
+  return next();
+}
+
+// Escape the glob characters of a key prefix for a redis MATCH pattern
+function matchPattern(prefix) {
+  return `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
 }
 
 function defaultRedisKeyFn(idOrEntry) {
@@ -50,8 +252,11 @@ function defaultEntryIdentifier(idOrEntry) {
   return idOrEntry.uuid;
 }
 
-class CachedRethinkDB {
-  constructor({redis, rethinkdb, table, logger, retrieveValidator, redisTTL, uuidPrefix = '', uuidField = 'uuid', redisKeyFn = defaultRedisKeyFn, entryIdentifier = defaultEntryIdentifier}) {
+class CachedRethinkDB extends EventEmitter {
+  constructor({redis, rethinkdb, table, logger, retrieveValidator, redisTTL, negativeTTL, loadLock, writeBehind, indexes, versionField, softDelete,
+    serializer, schema, failOpen, metrics, timestamps, audit, tenantField, localCache, softTTL, uuidPrefix = '', uuidField = 'uuid', redisKeyFn = defaultRedisKeyFn, entryIdentifier = defaultEntryIdentifier}) {
+    super();
+
     if (!redis) {
       throw new Error('Missing redis instance');
     }
@@ -60,12 +265,31 @@ class CachedRethinkDB {
     if (!rethinkdb) {
       throw new Error('Missing database connection');
     }
-    this.dbConn = rethinkdb;
+    // Either an open connection owned by the caller, or connection settings for a pool owned by this instance
+    if (typeof rethinkdb.isOpen === 'function') {
+      this.dbConn = rethinkdb;
+      this.pool = null;
+    } else {
+      if (typeof rethinkdb !== 'object') {
+        throw new Error('rethinkdb must be a connection or connection settings');
+      }
+      const settings = Object.assign({}, rethinkdb);
+      delete settings.pool;
+      this.dbConn = null;
+      this.pool = new ConnectionPool(Object.assign({
+        size: 4,
+        healthCheckInterval: 10000,
+        retryDelay: 100,
+        maxRetryDelay: 10000,
+        acquireTimeout: 5000,
+      }, rethinkdb.pool, { settings, cachedDb: this }));
+    }
 
     if (!table) {
       throw new Error('Missing table');
     }
     this.table = table;
+    this.keyPrefix = `${table}:`;
 
     if (!logger) {
       throw new Error('Missing bunyan logger');
@@ -92,10 +316,138 @@ class CachedRethinkDB {
     this.uuidPrefix = uuidPrefix || '';
     this.uuidField = uuidField || 'uuid';
 
+    if (versionField && typeof versionField !== 'string') {
+      throw new Error('versionField must be a string');
+    }
+    this.versionField = versionField || null;
+    this.softDelete = !!softDelete;
+
+    if (tenantField && typeof tenantField !== 'string') {
+      throw new Error('tenantField must be a string');
+    }
+    this.tenantField = tenantField || null;
+    this.tenant = null;
+    this.tenantFilter = null;
+    this.tenants = new Map();
+
+    if (schema && typeof schema !== 'function' && typeof schema !== 'object') {
+      throw new Error('schema must be a function or an object');
+    }
+    this.schema = schema ? compileSchema(schema) : null;
+
     if (redisTTL && typeof redisTTL !== 'number') {
       throw new Error('redisTTL must be a number');
     }
     this.redisTTL = redisTTL || 7200;
+
+    if (softTTL && (typeof softTTL !== 'number' || softTTL < 0 || softTTL >= this.redisTTL)) {
+      throw new Error('softTTL must be a number lower than redisTTL');
+    }
+    this.softTTL = softTTL || 0;
+
+    if (negativeTTL && (!Number.isInteger(negativeTTL) || negativeTTL < 0)) {
+      throw new Error('negativeTTL must be a positive integer');
+    }
+    this.negativeTTL = negativeTTL || 0;
+
+    if (serializer && typeof serializer !== 'string' && typeof serializer !== 'object') {
+      throw new Error('serializer must be a string or an object');
+    }
+    if (serializer && typeof serializer.serialize === 'function' && typeof serializer.deserialize === 'function') {
+      this.serializer = serializer;
+    } else {
+      this.serializer = new Serializer(typeof serializer === 'string' ? { format: serializer } : serializer);
+    }
+
+    if (loadLock && typeof loadLock !== 'boolean' && typeof loadLock !== 'object') {
+      throw new Error('loadLock must be a boolean or an object');
+    }
+    this.loadLock = loadLock ? Object.assign({
+      ttl: 5000,
+      wait: 2000,
+      retryDelay: 50,
+    }, loadLock === true ? {} : loadLock) : null;
+    this.inflightLoads = new Map();
+
+    if (writeBehind && typeof writeBehind !== 'boolean' && typeof writeBehind !== 'object') {
+      throw new Error('writeBehind must be a boolean or an object');
+    }
+    this.writeBehind = writeBehind ? new WriteBehindQueue(Object.assign({
+      interval: 1000,
+      maxPending: 1000,
+      maxRetries: 5,
+      concurrency: 10,
+    }, writeBehind === true ? {} : writeBehind, { cachedDb: this })) : null;
+
+    if (failOpen && typeof failOpen !== 'boolean' && typeof failOpen !== 'object') {
+      throw new Error('failOpen must be a boolean or an object');
+    }
+    this.breaker = failOpen ? new CircuitBreaker(Object.assign({
+      timeout: 250,
+      threshold: 5,
+      resetTimeout: 5000,
+      maxReplay: 10000,
+    }, failOpen === true ? {} : failOpen, { cachedDb: this })) : null;
+
+    if (indexes && typeof indexes !== 'object') {
+      throw new Error('indexes must be an object');
+    }
+    this.indexes = new Map();
+    Object.keys(indexes || {}).forEach((name) => {
+      this.indexes.set(name, [].concat(indexes[name]));
+    });
+
+    if (metrics && (typeof metrics.increment !== 'function' || typeof metrics.observe !== 'function')) {
+      throw new Error('metrics must be an object with increment and observe functions');
+    }
+    this.metrics = metrics || null;
+
+    if (timestamps && typeof timestamps !== 'boolean' && typeof timestamps !== 'object') {
+      throw new Error('timestamps must be a boolean or an object');
+    }
+    if (timestamps) {
+      this.use(hooks.timestamps(timestamps === true ? {} : timestamps));
+    }
+
+    if (audit && typeof audit !== 'boolean' && typeof audit !== 'object') {
+      throw new Error('audit must be a boolean or an object');
+    }
+    this.audit = audit ? new AuditLog(Object.assign({
+      table: `${table}_history`,
+    }, audit === true ? {} : audit, { cachedDb: this })) : null;
+    if (localCache && typeof localCache !== 'boolean' && typeof localCache !== 'object') {
+      throw new Error('localCache must be a boolean or an object');
+    }
+    if (localCache) {
+      const localOptions = Object.assign({
+        maxEntries: 1000,
+        maxBytes: 16 * 1024 * 1024,
+        ttl: 5000,
+      }, localCache === true ? {} : localCache);
+      // Pub/sub needs a connection of its own
+      const ownsSubscriber = !localOptions.subscriber && typeof redis.duplicate === 'function';
+      this.localCache = new LocalCache(Object.assign(localOptions, {
+        subscriber: ownsSubscriber ? redis.duplicate() : localOptions.subscriber,
+        ownsSubscriber,
+        channel: `${table}:invalidations`,
+        cachedDb: this,
+      }));
+      this.localCache.subscribe();
+    } else {
+      this.localCache = null;
+    }
+
+    this.stats = {
+      hits: 0,
+      localHits: 0,
+      staleHits: 0,
+      misses: 0,
+      negativeHits: 0,
+      coalesced: 0,
+      lockWaits: 0,
+    };
+
+    this.feed = null;
   }
 
   // General Operation
@@ -115,48 +467,456 @@ class CachedRethinkDB {
     });
   }
 
+  // A view of this table scoped to one tenant, sharing the redis client, DB connection, settings, hooks and listeners
+  // Its cache keys are prefixed with the tenant, and its DB queries only see rows holding the tenant in tenantField,
+  // or go to the per-tenant table <table>_<tenantId> when there is no tenantField
+  forTenant(tenantId) {
+    if (this.tenant !== null) {
+      throw new errors.InvalidArgumentError('forTenant cannot be called on a tenant view');
+    }
+    if (!isTenantId(tenantId)) {
+      throw new errors.InvalidArgumentError('Parameter tenantId must be a non-empty string without colon');
+    }
+    if (this.tenants.has(tenantId)) {
+      return this.tenants.get(tenantId);
+    }
+    const view = this.scopedView(tenantId);
+    view.writeBehind = this.writeBehind ? new WriteBehindQueue({
+      interval: this.writeBehind.interval,
+      maxPending: this.writeBehind.maxPending,
+      maxRetries: this.writeBehind.maxRetries,
+      concurrency: this.writeBehind.concurrency,
+      cachedDb: view,
+    }) : null;
+    view.audit = this.audit ? new AuditLog({
+      table: this.tenantField ? this.audit.table : `${this.audit.table}_${tenantId}`,
+      cachedDb: view,
+    }) : null;
+    this.tenants.set(tenantId, view);
+    return view;
+  }
+
+  // A view scoped to a tenant without write-behind queue nor audit log, enough to sync its cache keys
+  scopedView(tenantId) {
+    const view = Object.create(this);
+    view.tenant = tenantId;
+    view.tenantFilter = this.tenantField ? { [this.tenantField]: tenantId } : null;
+    view.table = this.tenantField ? this.table : `${this.table}_${tenantId}`;
+    view.keyPrefix = `${this.keyPrefix}${tenantId}:`;
+    view.logger = this.logger.child({ tenant: tenantId });
+    view.tenants = new Map();
+    view.inflightLoads = new Map();
+    view.feed = null;
+    view.writeBehind = null;
+    view.audit = null;
+    return view;
+  }
+
+  // Constrain a query on the table to the rows of the tenant
+  scopeQuery(query) {
+    return this.tenantFilter ? query.filter(this.tenantFilter) : query;
+  }
+
+  // The row to update, replace or delete, a row of another tenant is handled as missing
+  dbSelect(uid) {
+    return this.tenantFilter ? r.table(this.table).getAll(uid).filter(this.tenantFilter) : r.table(this.table).get(uid);
+  }
+
+  dbGet(operation, uid) {
+    if (!this.tenantFilter) {
+      return this.dbRun(operation, r.table(this.table).get(uid));
+    }
+    return this.dbRun(operation, this.dbSelect(uid).coerceTo('array')).then(rows => rows[0] || null);
+  }
+
+  // Pin the tenant field so that an update cannot move an entry to another tenant
+  scopeUpdate(updateObjOrFn) {
+    if (!this.tenantFilter) {
+      return updateObjOrFn;
+    }
+    if (typeof updateObjOrFn === 'function') {
+      return row => r.expr(updateObjOrFn(row)).merge(this.tenantFilter);
+    }
+    return Object.assign({}, updateObjOrFn, this.tenantFilter);
+  }
+
+  // Register a set of lifecycle hooks by name, such as the built-in timestamps, same as calling on() for each
+  use(hookSet) {
+    Object.keys(hookSet).forEach((hook) => {
+      if (hooks.hookNames.indexOf(hook) < 0) {
+        throw new Error(`Unknown hook ${hook}`);
+      }
+      this.on(hook, hookSet[hook]);
+    });
+    return this;
+  }
+
+  // Run after-hooks of a bulk operation for each item that succeeded
+  runBulkHooks(hook, results, contextFn) {
+    return Promise.map(results, (result, idx) => (result.ok ? this.runAfterHooks(hook, contextFn(result, idx)).then(() => result) : result));
+  }
+
+  // The write is in DB and cache by the time after-hooks run, so a failing one is reported as a hookError event
+  // instead of failing the operation, which a retry would apply twice
+  runAfterHooks(hook, context) {
+    return this.runHooks(hook, context).catch((err) => {
+      this.logger.error({
+        reqId: context.reqId,
+        hook,
+        err,
+        table: this.table,
+      }, 'After-hook failed');
+      this.emit('hookError', err, { hook, context });
+    });
+  }
+
+  // Run the listeners of a lifecycle hook one after another, a value returned by a before-hook replaces the given
+  // field of the context passed to the next one, and an error thrown aborts the operation
+  runHooks(hook, context, field) {
+    return Promise.reduce(this.listeners(hook), (current, listener) => Promise.resolve(listener.call(this, current)).then((result) => {
+      if (!field || result === undefined) {
+        return current;
+      }
+      return Object.assign({}, current, { [field]: result });
+    }), context);
+  }
+
+  // Errors leaving an operation carry its context, driver and redis errors are wrapped into ErrorClass
+  wrapError(err, ErrorClass, {reqId, id, operation}) {
+    // Count each failure once, where it is raised
+    if (!(err instanceof errors.CachedRethinkDBError) || err.operation === undefined) {
+      this.countMetric('cachedb_errors_total', { operation, error: (err && err.name) || 'Error' });
+    }
+    return errors.wrap(err, ErrorClass, { table: this.table, id, reqId, operation });
+  }
+
+  // Evaluate the ReQL terms entries hold, such as r.now() set by the timestamps hooks, so that the entries validated,
+  // written and cached are the same
+  resolveTerms(entries) {
+    if (entries.every(isPlainValue)) {
+      return Promise.resolve(entries);
+    }
+    const batches = [];
+    for (let start = 0; start < entries.length; start += resolveTermsBatch) {
+      batches.push(entries.slice(start, start + resolveTermsBatch));
+    }
+    return Promise.mapSeries(batches, batch => (batch.every(isPlainValue) ? batch : this.dbRun('resolveTerms', r.expr(batch))))
+      .then(resolved => resolved.reduce((all, batch) => all.concat(batch), []));
+  }
+
+  // Write the changes of a DB operation to the audit table, when audit is enabled
+  recordChanges({reqId, operation, actor, changes}) {
+    return this.audit ? this.audit.record({ reqId, operation, actor, changes }) : Promise.resolve(0);
+  }
+
+  // Keep the in-process tier coherent with a write to redis keys, in this process and the others
+  localInvalidate(keys) {
+    if (this.localCache && keys.length) {
+      this.localCache.invalidate(keys);
+    }
+  }
+
+  countMetric(name, labels, value = 1) {
+    if (this.metrics) {
+      this.metrics.increment(name, Object.assign({ table: this.table }, labels), value);
+    }
+  }
+
+  countStat(stat, value = 1) {
+    this.stats[stat] += value;
+    this.countMetric(statMetrics[stat], {}, value);
+  }
+
+  // Record how long the promise returned by fn took to settle
+  timed(name, labels, fn) {
+    if (!this.metrics) {
+      return fn();
+    }
+    const start = process.hrtime();
+    return fn().finally(() => {
+      const elapsed = process.hrtime(start);
+      this.metrics.observe(name, Object.assign({ table: this.table }, labels), elapsed[0] + (elapsed[1] / 1e9));
+    });
+  }
+
+  // Every redis command goes through the circuit breaker in failOpen mode
+  redisCall(command, fn) {
+    return this.timed('cachedb_redis_duration_seconds', { command }, () => (this.breaker ? this.breaker.call(fn) : Promise.resolve().then(fn)));
+  }
+
+  dbRun(operation, query) {
+    return this.timed('cachedb_db_duration_seconds', { operation }, () => (this.pool ? this.pool.run(query) : Promise.resolve(query.run(this.dbConn))));
+  }
+
+  // In failOpen mode a cache failure resolves to the fallback, keys the failed command should have written or
+  // deleted are invalidated once redis recovers
+  cacheFailure(err, {reqId, id, operation, keys = [], fallback}) {
+    const cacheErr = this.wrapError(err, errors.CacheError, { reqId, id, operation });
+    if (!this.breaker || !(cacheErr instanceof errors.CacheError)) {
+      throw cacheErr;
+    }
+    this.breaker.invalidateLater(keys);
+    return fallback;
+  }
+
+  // Reject entries that do not match the schema option
+  validateEntry({reqId, entry}) {
+    return Promise.resolve().then(() => {
+      const failures = this.schema ? this.schema(entry) : [];
+      if (failures.length) {
+        this.logger.warn({
+          reqId,
+          failures,
+          table: this.table,
+        }, 'Failed schema validation');
+        this.countMetric('cachedb_validation_rejections_total', { validator: 'schema' });
+        throw schemaError(entry, failures);
+      }
+      return entry;
+    });
+  }
+
+  // Rows already in DB that fail a schema added since are still read, but kept out of the cache like entries failing
+  // retrieveValidator, so that reads do not reject on them
+  cacheable({reqId, entry}) {
+    const failures = this.schema ? this.schema(entry) : [];
+    if (failures.length) {
+      this.logger.warn({
+        reqId,
+        id: this.entryIdentifier(entry),
+        failures,
+        table: this.table,
+      }, 'Not caching entry failing schema validation');
+      this.countMetric('cachedb_validation_rejections_total', { validator: 'schema' });
+    }
+    return !failures.length;
+  }
+
+  // Soft-deleted entries are treated as missing
+  isDeleted(entry) {
+    return !!(this.softDelete && entry && entry[deletedAtField]);
+  }
+
+  // Apply updates still waiting in the write-behind queue on top of an entry read from DB
+  withPendingWrites(entry) {
+    if (!entry || !this.writeBehind) {
+      return entry;
+    }
+    const patch = this.writeBehind.patchFor(this.entryIdentifier(entry));
+    return patch ? mergePatch(entry, patch) : entry;
+  }
+
+  // Write pending updates of one entry, or of all entries when id is not given, to DB
+  flush({reqId, id} = {}) {
+    if (!this.writeBehind) {
+      return Promise.resolve(0);
+    }
+    return Promise.resolve().then(() => {
+      if (id) {
+        return validateUUID(id, this.entryIdentifier).then(uid => this.writeBehind.flush({ reqId, uids: [uid] }));
+      }
+      return this.writeBehind.flush({ reqId });
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        id,
+        err,
+        failures: err.failures,
+        table: this.table,
+      }, 'Cannot flush pending writes');
+      throw this.wrapError(err, null, { reqId, id, operation: 'flush' });
+    });
+  }
+
+  close({reqId} = {}) {
+    return Promise.all([
+      this.writeBehind ? this.writeBehind.close({ reqId }) : null,
+      this.unwatch({ reqId }),
+    ].concat(Array.from(this.tenants.values()).map(view => view.close({ reqId })))).then(() => {
+      // Pending writes are flushed by now, the pool then waits for the queries still running. Tenant views share the
+      // local cache and the pool of their parent, which closes them
+      if (this.tenant !== null) {
+        return null;
+      }
+      if (this.localCache) {
+        this.localCache.close();
+      }
+      return this.pool ? this.pool.close() : null;
+    }).then(() => {
+      this.logger.trace({
+        reqId,
+        table: this.table,
+      }, 'Closed');
+      return this.table;
+    });
+  }
+
   // Redis Operation
-  cacheSet({reqId, entry}) {
-    const ttl = this.redisTTL;
+  // A fill caches what DB holds when the entry was missing, which leaves the copies held in process alone
+  cacheSet({reqId, entry, ttl, fill = false}) {
+    let expiry;
     let redisKey;
     let uid;
-    return validateRedisKey(entry, this.redisKeyFn).then((rKey) => {
+    return validateTTL(ttl, this.redisTTL).then((seconds) => {
+      expiry = seconds;
+      return validateRedisKey(entry, this.redisKeyFn);
+    }).then((rKey) => {
       redisKey = rKey;
       return validateUUID(entry, this.entryIdentifier);
     }).then((identifier) => {
       uid = identifier;
-      return this.redis.setAsync(`${this.table}:${redisKey}`, JSON.stringify(entry));
-    }).then((resolve) => {
+      return this.validateEntry({ reqId, entry });
+    }).then(() => this.redisCall('set', () => this.redis.setAsync(`${this.keyPrefix}${redisKey}`, this.encodeCached(entry), 'EX', expiry))).then((resolve) => {
       this.logger.trace({
         reqId,
+        ttl: expiry,
         id: uid,
         table: this.table,
         redisResult: resolve,
       }, 'Cached entry');
-      return this.redis.expireAsync(redisKey, ttl);
+      return entry;
+    }).catch((err) => {
+      this.logger.error({ entry, err, id: uid, table: this.table }, 'Cannot cache');
+      return this.cacheFailure(err, { reqId, id: uid, operation: 'cacheSet', keys: [`${this.keyPrefix}${redisKey}`], fallback: entry });
+    }).finally(() => this.localInvalidate(redisKey === undefined || fill ? [] : [`${this.keyPrefix}${redisKey}`]));
+  }
+
+  // With onlyMissing, keys already cached are left as they are and only the entries written are returned. Copies
+  // held in process are dropped for the keys written, unless it is a fill as with cacheSet
+  cacheSetMany({reqId, entries, ttl, onlyMissing = false, fill = false}) {
+    let expiry;
+    let keys = [];
+    let written = [];
+    return validateTTL(ttl, this.redisTTL).then((seconds) => {
+      expiry = seconds;
+      return Promise.map(entries, entry => this.validateEntry({ reqId, entry }));
+    }).then(() => Promise.map(entries, entry => validateRedisKey(entry, this.redisKeyFn))).then((redisKeys) => {
+      keys = redisKeys.map(redisKey => `${this.keyPrefix}${redisKey}`);
+      return this.redisCall('batch', () => {
+        const batch = this.redis.batch();
+        keys.forEach((key, idx) => {
+          if (onlyMissing) {
+            batch.set(key, this.encodeCached(entries[idx]), 'EX', expiry, 'NX');
+          } else {
+            batch.set(key, this.encodeCached(entries[idx]), 'EX', expiry);
+          }
+        });
+        return Promise.fromCallback(callback => batch.exec(callback));
+      });
     }).then((resolve) => {
       this.logger.trace({
         reqId,
-        ttl,
-        id: uid,
+        ttl: expiry,
+        count: entries.length,
         table: this.table,
         redisResult: resolve,
-      }, 'Set cache TTL');
-      return entry;
+      }, 'Cached entries');
+      written = onlyMissing ? keys.filter((key, idx) => !!resolve[idx]) : keys;
+      return onlyMissing ? entries.filter((entry, idx) => !!resolve[idx]) : entries;
     }).catch((err) => {
-      this.logger.error({ entry, err, id: uid, table: this.table }, 'Cannot cache');
-      throw err;
+      this.logger.error({
+        reqId,
+        err,
+        count: entries.length,
+        table: this.table,
+      }, 'Cannot cache entries');
+      // Whatever the batch got to write is unknown
+      written = keys;
+      return this.cacheFailure(err, { reqId, operation: 'cacheSetMany', keys, fallback: onlyMissing ? [] : entries });
+    }).finally(() => this.localInvalidate(fill ? [] : written));
+  }
+
+  // Overwrite the cached copy only if the entry is currently cached
+  cacheRefresh({reqId, entry, ttl}) {
+    let expiry;
+    let redisKey;
+    return validateTTL(ttl, this.redisTTL).then((seconds) => {
+      expiry = seconds;
+      return validateRedisKey(entry, this.redisKeyFn);
+    }).then((rKey) => {
+      redisKey = rKey;
+      return this.redisCall('set', () => this.redis.setAsync(`${this.keyPrefix}${redisKey}`, this.encodeCached(entry), 'EX', expiry, 'XX'));
+    }).then((resolve) => {
+      this.logger.trace({
+        reqId,
+        ttl: expiry,
+        redisKey,
+        table: this.table,
+        redisResult: resolve,
+      }, resolve ? 'Refreshed cache' : 'Not found in cache');
+      return resolve ? entry : null;
+    }).catch((err) => {
+      this.logger.error({ reqId, entry, err, table: this.table }, 'Cannot refresh cache');
+      return this.cacheFailure(err, { reqId, operation: 'cacheRefresh', keys: [`${this.keyPrefix}${redisKey}`], fallback: null });
+    }).finally(() => this.localInvalidate(redisKey === undefined ? [] : [`${this.keyPrefix}${redisKey}`]));
+  }
+
+  // Bring the cache in line with a change feed record
+  // The root also syncs the keys of the tenants the row belongs to, before and after the change, through their view
+  // or a throwaway one when none was created
+  cacheSync({reqId, change}) {
+    const synced = [this.cacheSyncEntry({ reqId, change })];
+    if (this.tenantField && this.tenant === null) {
+      const tenantIds = [change.old_val, change.new_val].filter(row => row && row[this.tenantField] !== undefined)
+        .map(row => row[this.tenantField]);
+      Array.from(new Set(tenantIds)).forEach((tenantId) => {
+        if (!isTenantId(tenantId)) {
+          this.logger.warn({
+            reqId,
+            tenant: tenantId,
+            table: this.table,
+          }, 'Cannot sync entry of invalid tenant');
+          return;
+        }
+        const view = this.tenants.get(tenantId) || this.scopedView(tenantId);
+        synced.push(view.cacheSyncEntry({ reqId, change }));
+      });
+    }
+    return Promise.all(synced).then(results => results[0]);
+  }
+
+  cacheSyncEntry({reqId, change}) {
+    const oldVal = change.old_val;
+    // A row moved to another tenant is gone for this view
+    const newVal = change.new_val && this.tenantFilter && change.new_val[this.tenantField] !== this.tenant ? null : change.new_val;
+    return this.cacheInvalidateIndexes({ reqId, entries: [oldVal, newVal] }).then(() => {
+      if (!newVal || this.isDeleted(newVal) || (this.retrieveValidator && !this.retrieveValidator(newVal)) || (this.schema && this.schema(newVal).length)) {
+        return this.cacheInvalidate({ reqId, id: newVal || oldVal }).then(() => null);
+      }
+      return this.cacheRefresh({ reqId, entry: this.withPendingWrites(newVal) });
     });
   }
 
+  encodeCached(entry) {
+    const serialized = this.serializer.serialize(entry);
+    return this.softTTL ? `@${Date.now() + (this.softTTL * 1000)}@${serialized}` : serialized;
+  }
+
+  decodeCached(cached) {
+    const value = splitFreshness(cached);
+    const entry = this.serializer.deserialize(value.serialized);
+    if (this.softTTL && entry && typeof entry === 'object' && value.freshUntil <= Date.now()) {
+      staleEntries.add(entry);
+    }
+    return entry;
+  }
+
   cacheFetch({reqId, id}) {
     let redisKey;
     return validateRedisKey(id, this.redisKeyFn).then((rKey) => {
       redisKey = rKey;
-      return this.redis.getAsync(`${this.table}:${redisKey}`);
+      return this.redisCall('get', () => this.redis.getAsync(`${this.keyPrefix}${redisKey}`));
     }).then((resolve) => {
-      const entry = JSON.parse(resolve);
-      if (!entry) {
+      if (resolve === tombstoneValue) {
+        this.logger.trace({
+          reqId,
+          id,
+          table: this.table,
+        }, 'Found tombstone in cache');
+        return TOMBSTONE;
+      }
+      const entry = resolve === null ? null : this.decodeCached(resolve);
+      if (!entry || this.isDeleted(entry)) {
         this.logger.trace({
           reqId,
           id,
@@ -178,6 +938,7 @@ class CachedRethinkDB {
           table: this.table,
           selectValidation: 'failed',
         }, 'Failed validation during fetch');
+        this.countMetric('cachedb_validation_rejections_total', { validator: 'retrieve' });
         return null;
       }
       return entry;
@@ -188,37 +949,357 @@ class CachedRethinkDB {
         err,
         table: this.table,
       }, 'Cannot fetch');
-      throw err;
+      return this.cacheFailure(err, { reqId, id, operation: 'cacheFetch', fallback: null });
     });
   }
 
-  cacheInvalidate({reqId, id}) {
-    let redisKey;
-    return validateRedisKey(id, this.redisKeyFn).then((rKey) => {
-      redisKey = rKey;
-      return this.redis.delAsync(`${this.table}:${redisKey}`);
+  cacheFetchMany({reqId, ids}) {
+    return Promise.map(ids, id => validateRedisKey(id, this.redisKeyFn)).then((redisKeys) => {
+      if (!redisKeys.length) {
+        return [];
+      }
+      return this.redisCall('mget', () => this.redis.mgetAsync(redisKeys.map(redisKey => `${this.keyPrefix}${redisKey}`)));
     }).then((resolve) => {
+      const entries = resolve.map((cached, idx) => {
+        if (cached === tombstoneValue) {
+          return TOMBSTONE;
+        }
+        const entry = cached === null ? null : this.decodeCached(cached);
+        if (this.isDeleted(entry)) {
+          return null;
+        }
+        if (entry && this.retrieveValidator && !this.retrieveValidator(entry)) {
+          this.logger.warn({
+            reqId,
+            id: ids[idx],
+            table: this.table,
+            selectValidation: 'failed',
+          }, 'Failed validation during fetch');
+          this.countMetric('cachedb_validation_rejections_total', { validator: 'retrieve' });
+          return null;
+        }
+        return entry;
+      });
       this.logger.trace({
         reqId,
-        id,
+        count: ids.length,
+        hits: entries.filter(entry => !!entry).length,
         table: this.table,
-        redisResult: resolve,
-      }, 'Invalidated cache');
-      return id;
+      }, 'Fetched cache');
+      return entries;
     }).catch((err) => {
       this.logger.error({
         reqId,
-        id,
+        ids,
         err,
         table: this.table,
-      }, 'Cannot invalidate');
-      throw err;
+      }, 'Cannot fetch');
+      return this.cacheFailure(err, { reqId, operation: 'cacheFetchMany', fallback: ids.map(() => null) });
+    });
+  }
+
+  indexCacheKey(index, value) {
+    return `${this.keyPrefix}index:${index}:${JSON.stringify(value)}`;
+  }
+
+  cacheFetchIndex({reqId, index, value}) {
+    const indexKey = this.indexCacheKey(index, value);
+    return this.redisCall('get', () => this.redis.getAsync(indexKey)).then((resolve) => {
+      this.logger.trace({
+        reqId,
+        index,
+        indexKey,
+        table: this.table,
+        cache: resolve ? 'hit' : 'miss',
+      }, 'Fetched index cache');
+      return JSON.parse(resolve);
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        index,
+        indexKey,
+        err,
+        table: this.table,
+      }, 'Cannot fetch index');
+      return this.cacheFailure(err, { reqId, operation: 'cacheFetchIndex', fallback: null });
+    });
+  }
+
+  cacheSetIndex({reqId, index, value, ids}) {
+    const indexKey = this.indexCacheKey(index, value);
+    return this.redisCall('set', () => this.redis.setAsync(indexKey, JSON.stringify(ids), 'EX', this.redisTTL)).then((resolve) => {
+      this.logger.trace({
+        reqId,
+        index,
+        indexKey,
+        count: ids.length,
+        table: this.table,
+        redisResult: resolve,
+      }, 'Cached index');
+      return ids;
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        index,
+        indexKey,
+        err,
+        table: this.table,
+      }, 'Cannot cache index');
+      return this.cacheFailure(err, { reqId, operation: 'cacheSetIndex', keys: [indexKey], fallback: ids });
+    });
+  }
+
+  // Drop every cached index lookup the given entries appear in, pass both old and new values on update
+  cacheInvalidateIndexes({reqId, entries}) {
+    const indexKeys = [];
+    entries.filter(entry => !!entry).forEach((entry) => {
+      this.indexes.forEach((fields, index) => {
+        const value = indexValue(fields, entry);
+        if (value !== undefined) {
+          indexKeys.push(this.indexCacheKey(index, value));
+        }
+      });
+    });
+    if (!indexKeys.length) {
+      return Promise.resolve(indexKeys);
+    }
+    return this.redisCall('del', () => this.redis.delAsync(indexKeys)).then((resolve) => {
+      this.logger.trace({
+        reqId,
+        indexKeys,
+        table: this.table,
+        redisResult: resolve,
+      }, 'Invalidated index cache');
+      return indexKeys;
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        indexKeys,
+        err,
+        table: this.table,
+      }, 'Cannot invalidate index');
+      return this.cacheFailure(err, { reqId, operation: 'cacheInvalidateIndexes', keys: indexKeys, fallback: indexKeys });
+    });
+  }
+
+  // Remember that the entry does not exist in DB
+  // Only where nothing is cached, so that a load which found nothing does not hide an entry created meanwhile
+  cacheTombstone({reqId, id}) {
+    const ttl = this.negativeTTL;
+    let redisKey;
+    return validateRedisKey(id, this.redisKeyFn).then((rKey) => {
+      redisKey = rKey;
+      return this.redisCall('set', () => this.redis.setAsync(`${this.keyPrefix}${redisKey}`, tombstoneValue, 'EX', ttl, 'NX'));
+    }).then((resolve) => {
+      this.logger.trace({
+        reqId,
+        id,
+        ttl,
+        table: this.table,
+        redisResult: resolve,
+      }, resolve ? 'Cached tombstone' : 'Entry cached meanwhile, skipped tombstone');
+      return id;
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        id,
+        err,
+        table: this.table,
+      }, 'Cannot cache tombstone');
+      return this.cacheFailure(err, { reqId, id, operation: 'cacheTombstone', fallback: id });
+    }).finally(() => this.localInvalidate(redisKey === undefined ? [] : [`${this.keyPrefix}${redisKey}`]));
+  }
+
+  cacheInvalidate({reqId, id}) {
+    let redisKey;
+    return validateRedisKey(id, this.redisKeyFn).then((rKey) => {
+      redisKey = rKey;
+      return this.redisCall('del', () => this.redis.delAsync(`${this.keyPrefix}${redisKey}`));
+    }).then((resolve) => {
+      this.logger.trace({
+        reqId,
+        id,
+        table: this.table,
+        redisResult: resolve,
+      }, 'Invalidated cache');
+      return id;
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        id,
+        err,
+        table: this.table,
+      }, 'Cannot invalidate');
+      return this.cacheFailure(err, { reqId, id, operation: 'cacheInvalidate', keys: [`${this.keyPrefix}${redisKey}`], fallback: id });
+    }).finally(() => this.localInvalidate(redisKey === undefined ? [] : [`${this.keyPrefix}${redisKey}`]));
+  }
+
+  cacheInvalidateMany({reqId, ids}) {
+    let keys = [];
+    return Promise.map(ids, id => validateRedisKey(id, this.redisKeyFn)).then((redisKeys) => {
+      if (!redisKeys.length) {
+        return 0;
+      }
+      keys = redisKeys.map(redisKey => `${this.keyPrefix}${redisKey}`);
+      return this.redisCall('del', () => this.redis.delAsync(keys));
+    }).then((resolve) => {
+      this.logger.trace({
+        reqId,
+        count: ids.length,
+        table: this.table,
+        redisResult: resolve,
+      }, 'Invalidated cache entries');
+      return ids;
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        ids,
+        err,
+        table: this.table,
+      }, 'Cannot invalidate entries');
+      return this.cacheFailure(err, { reqId, operation: 'cacheInvalidateMany', keys, fallback: ids });
+    }).finally(() => this.localInvalidate(keys));
+  }
+
+  // Fill the cache from a cursor over the table, batchSize rows at a time with up to concurrency batches written to
+  // redis at once. Keys already cached are kept, a regular write may have cached a newer copy since the row was read
+  // onProgress receives the running totals after each batch
+  warmCache({reqId, filter, concurrency = 4, batchSize = 500, ttl, onProgress} = {}) {
+    const action = 'warmCache';
+    const progress = { scanned: 0, cached: 0, skipped: 0 };
+    let cursor;
+    return Promise.resolve().then(() => {
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new errors.InvalidArgumentError('Parameter concurrency must be a positive integer');
+      }
+      if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new errors.InvalidArgumentError('Parameter batchSize must be a positive integer');
+      }
+      if (onProgress !== undefined && typeof onProgress !== 'function') {
+        throw new errors.InvalidArgumentError('Parameter onProgress must be a function');
+      }
+      return validateTTL(ttl, this.redisTTL);
+    }).then(() => {
+      let query = this.scopeQuery(r.table(this.table));
+      if (this.softDelete) {
+        query = query.filter(row => row.hasFields(deletedAtField).not());
+      }
+      if (filter) {
+        query = query.filter(filter);
+      }
+      return this.dbRun(action, query);
+    }).then((dbCursor) => {
+      cursor = dbCursor;
+      // Workers take turns reading the cursor, and write their batch while the next one is read
+      let reading = Promise.resolve();
+      let exhausted = false;
+      const worker = () => {
+        const batch = reading.then(() => (exhausted ? [] : nextBatch(cursor, batchSize)));
+        reading = batch.catch(() => null);
+        return batch.then((rows) => {
+          exhausted = exhausted || rows.length < batchSize;
+          if (!rows.length) {
+            return null;
+          }
+          const entries = rows.filter(entry => !this.isDeleted(entry) &&
+            !(this.retrieveValidator && !this.retrieveValidator(entry)) &&
+            !(this.schema && this.schema(entry).length));
+          return this.warmEntries({ reqId, entries, ttl }).then((cached) => {
+            progress.scanned += rows.length;
+            progress.cached += cached;
+            progress.skipped += rows.length - cached;
+            if (onProgress) {
+              onProgress(Object.assign({}, progress));
+            }
+            return exhausted ? null : worker();
+          });
+        });
+      };
+      const workers = [];
+      for (let idx = 0; idx < concurrency; idx += 1) {
+        workers.push(worker());
+      }
+      return Promise.all(workers);
+    }).then(() => {
+      this.logger.trace(Object.assign({
+        reqId,
+        action,
+        table: this.table,
+      }, progress), 'Warmed cache');
+      return progress;
+    }).catch((err) => {
+      this.logger.error(Object.assign({
+        reqId,
+        action,
+        err,
+        table: this.table,
+      }, progress), 'Cannot warm cache');
+      throw this.wrapError(err, errors.DatabaseError, { reqId, operation: action });
+    }).finally(() => cursor && cursor.close());
+  }
+
+  // Cache entries missing from redis, the ones of a tenant under the keys of its view when warming the root of a table
+  // with tenantField, as that is where the view reads them. Resolves to the number of entries written
+  warmEntries({reqId, entries, ttl}) {
+    const byTenant = new Map();
+    entries.forEach((entry) => {
+      const tenantId = this.tenantField && this.tenant === null ? entry[this.tenantField] : undefined;
+      const owner = this.tenants.get(tenantId) || (isTenantId(tenantId) ? this.scopedView(tenantId) : this);
+      if (!byTenant.has(owner)) {
+        byTenant.set(owner, []);
+      }
+      byTenant.get(owner).push(owner.withPendingWrites(entry));
+    });
+    return Promise.map(Array.from(byTenant.keys()), owner => owner.cacheSetMany({ reqId, entries: byTenant.get(owner), ttl, onlyMissing: true, fill: true }))
+      .then(written => written.reduce((sum, cached) => sum + cached.length, 0));
+  }
+
+  // Drop every key cached for this table, entries as well as index lookups and tombstones, and nothing of other
+  // tables. Keys are found with SCAN, count at a time, so redis is never blocked. Load locks are left to the loads
+  // holding them
+  flushCache({reqId, count = 1000} = {}) {
+    const action = 'flushCache';
+    const pattern = matchPattern(this.keyPrefix);
+    const lockKey = new RegExp(`^${this.keyPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:[^:]+:)?lock:`);
+    let deleted = 0;
+    const scan = position => this.redisCall('scan', () => this.redis.scanAsync(position, 'MATCH', pattern, 'COUNT', count)).then((reply) => {
+      const keys = reply[1].filter(key => !lockKey.test(key));
+      return (keys.length ? this.redisCall('del', () => this.redis.delAsync(keys)) : Promise.resolve(0)).then((removed) => {
+        deleted += removed;
+        return reply[0] === '0' ? deleted : scan(reply[0]);
+      });
+    });
+    return Promise.resolve().then(() => {
+      if (!Number.isInteger(count) || count < 1) {
+        throw new errors.InvalidArgumentError('Parameter count must be a positive integer');
+      }
+      return scan('0');
+    }).then(() => {
+      if (this.localCache) {
+        this.localCache.invalidatePrefix(this.keyPrefix);
+      }
+      this.logger.trace({
+        reqId,
+        action,
+        deleted,
+        table: this.table,
+      }, 'Flushed cache');
+      return deleted;
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        deleted,
+        table: this.table,
+      }, 'Cannot flush cache');
+      throw this.wrapError(err, errors.CacheError, { reqId, operation: action });
     });
   }
 
   // DB Operation
   dbExist({reqId, id}) {
-    return validateUUID(id, this.entryIdentifier).then((uid) => r.table(this.table).get(uid).run(this.dbConn)
+    return validateUUID(id, this.entryIdentifier).then((uid) => this.dbGet('dbExist', uid)
     ).then((entryUuid) => {
       this.logger.trace({
         reqId,
@@ -234,22 +1315,29 @@ class CachedRethinkDB {
         err,
         table: this.table,
       }, 'Cannot get uuid status');
-      throw err;
+      throw this.wrapError(err, errors.DatabaseError, { reqId, id, operation: 'dbExist' });
     });
   }
 
-  dbCreate({reqId, entry}) {
+  dbCreate({reqId, entry, actor}) {
+    let scopedEntry;
     let uid;
-    return validateUUID(entry, this.entryIdentifier).then((identifier) => {
+    return this.resolveTerms([entry]).then((resolved) => {
+      scopedEntry = this.tenantFilter ? Immutable.from(resolved[0]).merge(this.tenantFilter) : resolved[0];
+      return validateUUID(scopedEntry, this.entryIdentifier);
+    }).then((identifier) => {
       uid = identifier;
-      return r.table(this.table).insert(entry, {
-        conflict: 'replace',
-      }).run(this.dbConn);
-    }).then((dbResult) => {
+      return this.validateEntry({ reqId, entry: scopedEntry });
+    }).then(() => this.dbRun('dbCreate', r.table(this.table).insert(scopedEntry, {
+      // A tenant view only replaces rows of its own tenant
+      conflict: this.tenantFilter ? (id, oldDoc, newDoc) => r.branch(oldDoc(this.tenantField).default(null).eq(this.tenant), newDoc, r.error(tenantConflict)) : 'replace',
+      returnChanges: !!this.audit,
+    }))).then((dbResult) => {
+      if (dbResult.errors && dbResult.first_error === tenantConflict) {
+        throw new errors.ConflictError(tenantConflict, { cause: dbResult.first_error });
+      }
       if (dbResult.errors) {
-        const err = new Error('Error occurred during create entry');
-        err.dbResult = dbResult;
-        throw err;
+        throw new errors.DatabaseWriteError('Error occurred during create entry', { dbResult, cause: dbResult.first_error });
       }
       this.logger.trace({
         reqId,
@@ -257,7 +1345,7 @@ class CachedRethinkDB {
         id: uid,
         table: this.table,
       }, 'Created entry');
-      return entry;
+      return this.recordChanges({ reqId, operation: 'create', actor, changes: dbResult.changes || [] }).then(() => scopedEntry);
     }).catch((err) => {
       this.logger.error({
         reqId,
@@ -267,7 +1355,7 @@ class CachedRethinkDB {
         id: uid,
         table: this.table,
       }, 'Cannot create');
-      throw err;
+      throw this.wrapError(err, errors.DatabaseWriteError, { reqId, id: uid, operation: 'dbCreate' });
     });
   }
 
@@ -275,9 +1363,9 @@ class CachedRethinkDB {
     let uid;
     return validateUUID(id, this.entryIdentifier).then((identifier) => {
       uid = identifier;
-      return r.table(this.table).get(uid).run(this.dbConn);
+      return this.dbGet('dbRetrieve', uid);
     }).then((entry) => {
-      if (!entry) {
+      if (!entry || this.isDeleted(entry)) {
         this.logger.trace({
           reqId,
           id,
@@ -298,6 +1386,7 @@ class CachedRethinkDB {
           table: this.table,
           selectValidation: 'failed',
         }, 'Failed validation during retrieve');
+        this.countMetric('cachedb_validation_rejections_total', { validator: 'retrieve' });
         return null;
       }
       return entry;
@@ -308,29 +1397,143 @@ class CachedRethinkDB {
         err,
         table: this.table,
       }, 'Cannot retrieve');
-      throw err;
+      throw this.wrapError(err, errors.DatabaseError, { reqId, id, operation: 'dbRetrieve' });
+    });
+  }
+
+  dbRetrieveMany({reqId, ids}) {
+    let uids;
+    return Promise.map(ids, id => validateUUID(id, this.entryIdentifier)).then((identifiers) => {
+      uids = identifiers;
+      if (!uids.length) {
+        return [];
+      }
+      return this.dbRun('dbRetrieveMany', this.scopeQuery(r.table(this.table).getAll(r.args(uids))).coerceTo('array'));
+    }).then((dbEntries) => {
+      const entryById = new Map();
+      dbEntries.forEach((entry) => {
+        entryById.set(this.entryIdentifier(entry), entry);
+      });
+      this.logger.trace({
+        reqId,
+        count: uids.length,
+        found: entryById.size,
+        table: this.table,
+      }, 'Retrieved entries');
+
+      return uids.map((uid) => {
+        const entry = entryById.get(uid);
+        if (!entry || this.isDeleted(entry)) {
+          return null;
+        }
+        if (this.retrieveValidator && !this.retrieveValidator(entry)) {
+          this.logger.warn({
+            reqId,
+            id: uid,
+            table: this.table,
+            selectValidation: 'failed',
+          }, 'Failed validation during retrieve');
+          this.countMetric('cachedb_validation_rejections_total', { validator: 'retrieve' });
+          return null;
+        }
+        return entry;
+      });
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        ids,
+        err,
+        table: this.table,
+      }, 'Cannot retrieve');
+      throw this.wrapError(err, errors.DatabaseError, { reqId, operation: 'dbRetrieveMany' });
+    });
+  }
+
+  dbFindByIndex({reqId, index, value}) {
+    return this.dbRun('dbFindByIndex', this.scopeQuery(r.table(this.table).getAll(value, { index })).coerceTo('array')).then((dbEntries) => {
+      this.logger.trace({
+        reqId,
+        index,
+        value,
+        found: dbEntries.length,
+        table: this.table,
+      }, 'Found entries by index');
+      return dbEntries.filter((entry) => {
+        if (this.isDeleted(entry)) {
+          return false;
+        }
+        if (this.retrieveValidator && !this.retrieveValidator(entry)) {
+          this.logger.warn({
+            reqId,
+            id: this.entryIdentifier(entry),
+            table: this.table,
+            selectValidation: 'failed',
+          }, 'Failed validation during find');
+          this.countMetric('cachedb_validation_rejections_total', { validator: 'retrieve' });
+          return false;
+        }
+        return true;
+      });
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        index,
+        value,
+        err,
+        table: this.table,
+      }, 'Cannot find by index');
+      throw this.wrapError(err, errors.DatabaseError, { reqId, operation: 'dbFindByIndex' });
     });
   }
 
-  dbUpdate({reqId, id, updateObjOrFn, nonAtomic = false}) {
-    return validateUUID(id, this.entryIdentifier).then((uid) => {
+  // auditOperation is the operation the changes are recorded as, soft deletes and reverts are updates too
+  dbUpdate({reqId, id, updateObjOrFn, expectedVersion, actor, auditOperation = 'update', nonAtomic = false}) {
+    const versionField = this.versionField;
+    let uid;
+    return validateUUID(id, this.entryIdentifier).then((identifier) => {
+      uid = identifier;
       if (typeof updateObjOrFn !== 'function' && typeof updateObjOrFn !== 'object') {
-        throw new Error('Parameter updateObjOrFn must be a function or an object');
+        throw new errors.InvalidArgumentError('Parameter updateObjOrFn must be a function or an object');
       }
-      return r.table(this.table).get(uid).update(updateObjOrFn, { returnChanges: true, nonAtomic: !!nonAtomic }).run(this.dbConn);
+      if (expectedVersion !== undefined && !versionField) {
+        throw new errors.InvalidArgumentError('Parameter expectedVersion requires versionField');
+      }
+      return this.rejectInvalidUpdates({ reqId, uids: [uid], updateObjOrFn });
+    }).then((rejected) => {
+      if (rejected.length) {
+        throw rejected[0].error;
+      }
+      const scopedUpdate = this.scopeUpdate(updateObjOrFn);
+      const update = versionField ? versionedUpdate(scopedUpdate, versionField, expectedVersion) : scopedUpdate;
+      return this.dbRun('dbUpdate', this.dbSelect(uid).update(update, { returnChanges: true, nonAtomic: !!nonAtomic }));
     }).then((dbResult) => {
+      if (dbResult.errors && dbResult.first_error === versionConflict) {
+        return this.dbGet('dbUpdate', uid).then((entry) => {
+          throw new errors.ConflictError(`Expected version ${expectedVersion} of entry`, { entry, expectedVersion, cause: dbResult.first_error });
+        });
+      }
+      // A row missing from a tenant view is not even selected, so nothing is skipped either
+      if (dbResult.skipped || !(dbResult.replaced || dbResult.unchanged || dbResult.errors)) {
+        throw new errors.NotFoundError('Entry does not exist');
+      }
       if (dbResult.errors) {
-        const err = new Error('Error occurred during update entry');
-        err.dbResult = dbResult;
-        throw err;
+        throw new errors.DatabaseWriteError('Error occurred during update entry', { dbResult, cause: dbResult.first_error });
       }
+      return this.dbRevertInvalid({ reqId, changes: dbResult.changes, updateObjOrFn }).then((changes) => {
+        const invalid = changes.find(change => change.error instanceof errors.ValidationError);
+        if (invalid) {
+          throw invalid.error;
+        }
+        return dbResult;
+      });
+    }).then((dbResult) => {
       this.logger.trace({
         reqId,
         dbResult,
         id,
         table: this.table,
       }, 'Updated entry');
-      return dbResult.changes;
+      return this.recordChanges({ reqId, operation: auditOperation, actor, changes: dbResult.changes }).then(() => dbResult.changes);
     }).catch((err) => {
       this.logger.error({
         reqId,
@@ -339,16 +1542,14 @@ class CachedRethinkDB {
         dbResult: err.dbResult || undefined,
         table: this.table,
       }, 'Cannot update');
-      throw err;
+      throw this.wrapError(err, errors.DatabaseWriteError, { reqId, id, operation: 'dbUpdate' });
     });
   }
 
-  dbDelete({reqId, id}) {
-    return validateUUID(id, this.entryIdentifier).then((uid) => r.table(this.table).get(uid).delete().run(this.dbConn)).then((dbResult) => {
+  dbDelete({reqId, id, actor, returnChanges = false}) {
+    return validateUUID(id, this.entryIdentifier).then((uid) => this.dbRun('dbDelete', this.dbSelect(uid).delete({ returnChanges: !!(returnChanges || this.audit) }))).then((dbResult) => {
       if (dbResult.errors) {
-        const err = new Error('Error occurred during delete entry');
-        err.dbResult = dbResult;
-        throw err;
+        throw new errors.DatabaseWriteError('Error occurred during delete entry', { dbResult, cause: dbResult.first_error });
       }
       this.logger.trace({
         reqId,
@@ -356,7 +1557,7 @@ class CachedRethinkDB {
         id,
         table: this.table,
       }, 'Deleted entry');
-      return id;
+      return this.recordChanges({ reqId, operation: 'delete', actor, changes: dbResult.changes || [] }).then(() => (returnChanges ? dbResult.changes : id));
     }).catch((err) => {
       this.logger.error({
         reqId,
@@ -365,99 +1566,268 @@ class CachedRethinkDB {
         dbResult: err.dbResult || undefined,
         table: this.table,
       }, 'Cannot delete');
-      throw err;
+      throw this.wrapError(err, errors.DatabaseWriteError, { reqId, id, operation: 'dbDelete' });
     });
   }
 
-  // DB Admin
-  dbCreateTable({reqId}) {
-    return r.tableCreate(this.table, {
-      primaryKey: this.uuidField,
-    }).run(this.dbConn).then((dbResult) => {
+  // Bulk operations return one change record per entry, with an error field on the ones that failed
+  dbCreateMany({reqId, entries, actor}) {
+    return this.dbRun('dbCreateMany', r.table(this.table).insert(entries, {
+      conflict: 'error',
+      returnChanges: 'always',
+    })).then((dbResult) => {
       this.logger.trace({
         reqId,
-        dbResult,
+        inserted: dbResult.inserted,
+        errors: dbResult.errors,
         table: this.table,
-      }, 'Created table');
-      return this.table;
+      }, 'Created entries');
+      return this.recordChanges({ reqId, operation: 'create', actor, changes: dbResult.changes }).then(() => dbResult.changes);
     }).catch((err) => {
       this.logger.error({
         reqId,
         err,
-      }, 'Cannot create table');
-      throw err;
+        count: entries.length,
+        table: this.table,
+      }, 'Cannot create entries');
+      throw this.wrapError(err, errors.DatabaseWriteError, { reqId, operation: 'dbCreateMany' });
     });
   }
 
-  dbDropTable({reqId}) {
-    return r.tableDrop(this.table).run(this.dbConn).then((dbResult) => {
+  dbUpdateMany({reqId, uids, updateObjOrFn, actor, auditOperation = 'update', nonAtomic = false}) {
+    let rejected = [];
+    return Promise.resolve().then(() => {
+      if (typeof updateObjOrFn !== 'function' && typeof updateObjOrFn !== 'object') {
+        throw new errors.InvalidArgumentError('Parameter updateObjOrFn must be a function or an object');
+      }
+      return this.rejectInvalidUpdates({ reqId, uids, updateObjOrFn });
+    }).then((invalid) => {
+      rejected = invalid;
+      const rejectedIds = new Set(rejected.map(change => this.entryIdentifier(change.old_val)));
+      const validUids = uids.filter(uid => !rejectedIds.has(uid));
+      if (!validUids.length) {
+        return { replaced: 0, unchanged: 0, errors: 0, changes: [] };
+      }
+      const scopedUpdate = this.scopeUpdate(updateObjOrFn);
+      const update = this.versionField ? versionedUpdate(scopedUpdate, this.versionField) : scopedUpdate;
+      return this.dbRun('dbUpdateMany', this.scopeQuery(r.table(this.table).getAll(r.args(validUids))).update(update, { returnChanges: 'always', nonAtomic: !!nonAtomic }));
+    }).then((dbResult) => {
       this.logger.trace({
         reqId,
-        dbResult,
+        replaced: dbResult.replaced,
+        unchanged: dbResult.unchanged,
+        errors: dbResult.errors,
         table: this.table,
-      }, 'Dropped table');
-      return this.table;
-    }).catch((err) => {
+      }, 'Updated entries');
+      return this.dbRevertInvalid({ reqId, changes: dbResult.changes, updateObjOrFn });
+    }).then(changes => this.recordChanges({ reqId, operation: auditOperation, actor, changes }).then(() => changes.concat(rejected))).catch((err) => {
       this.logger.error({
         reqId,
         err,
-      }, 'Cannot drop table');
-      throw err;
+        count: uids.length,
+        table: this.table,
+      }, 'Cannot update entries');
+      throw this.wrapError(err, errors.DatabaseWriteError, { reqId, operation: 'dbUpdateMany' });
     });
   }
 
-  dbCreateSimpleIndex({reqId, field}) {
-    return r.table(this.table).indexCreate(field).run(this.dbConn).then((dbResult) => {
-      this.logger.trace({
+  // Object updates are checked against the schema before anything is written, DB merges them into the current rows
+  // without writing so that ReQL terms such as r.now() are evaluated. The change records returned for the entries an
+  // update would leave invalid carry the ValidationError. Function updates are only known once written, they are
+  // rolled back by dbRevertInvalid instead
+  rejectInvalidUpdates({reqId, uids, updateObjOrFn}) {
+    if (!this.schema || typeof updateObjOrFn === 'function' || !uids.length) {
+      return Promise.resolve([]);
+    }
+    const preview = this.scopeQuery(r.table(this.table).getAll(r.args(uids)))
+      .map(row => ({ old_val: row, new_val: row.merge(updateObjOrFn) })).coerceTo('array');
+    return this.dbRun('dbUpdate', preview).then(changes => changes.map((change) => {
+      const entry = change.new_val;
+      const failures = this.isDeleted(entry) ? [] : this.schema(entry);
+      if (!failures.length) {
+        return null;
+      }
+      this.logger.warn({
         reqId,
-        dbResult,
-        field,
-        indexname: field,
+        id: this.entryIdentifier(entry),
+        failures,
         table: this.table,
-      }, 'Creating simple index');
+      }, 'Rejected update failing schema validation');
+      this.countMetric('cachedb_validation_rejections_total', { validator: 'schema' });
+      return { old_val: change.old_val, new_val: change.old_val, error: schemaError(entry, failures) };
+    }).filter(change => !!change));
+  }
 
-      return r.table(this.table).indexWait(field).run(this.dbConn);
-    }).then((dbResult) => {
+  // Put back the previous copy of entries a function update left failing the schema, unless they were written again since
+  // The reverted change records carry the ValidationError as their error
+  dbRevertInvalid({reqId, changes, updateObjOrFn}) {
+    if (!this.schema || typeof updateObjOrFn !== 'function') {
+      return Promise.resolve(changes);
+    }
+    return Promise.map(changes, (change) => {
+      const entry = change.new_val;
+      if (change.error || !entry || !change.old_val || this.isDeleted(entry) || JSON.stringify(change.old_val) === JSON.stringify(entry)) {
+        return change;
+      }
+      const failures = this.schema(entry);
+      if (!failures.length) {
+        return change;
+      }
+      const uid = this.entryIdentifier(entry);
+      return this.dbRun('dbRevertInvalid', r.table(this.table).get(uid).replace(row => r.branch(row.eq(entry), change.old_val, row))).then((dbResult) => {
+        this.logger.warn({
+          reqId,
+          id: uid,
+          failures,
+          dbResult,
+          table: this.table,
+        }, 'Reverted update failing schema validation');
+        this.countMetric('cachedb_validation_rejections_total', { validator: 'schema' });
+        return { old_val: change.old_val, new_val: change.old_val, error: schemaError(entry, failures) };
+      });
+    });
+  }
+
+  dbDeleteMany({reqId, uids, actor}) {
+    return this.dbRun('dbDeleteMany', this.scopeQuery(r.table(this.table).getAll(r.args(uids))).delete({ returnChanges: 'always' })).then((dbResult) => {
       this.logger.trace({
         reqId,
-        dbResult,
-        field,
-        indexname: field,
+        deleted: dbResult.deleted,
+        errors: dbResult.errors,
         table: this.table,
-      }, 'Created simple index');
-      return field;
-    }, (err) => {
+      }, 'Deleted entries');
+      return this.recordChanges({ reqId, operation: 'delete', actor, changes: dbResult.changes }).then(() => dbResult.changes);
+    }).catch((err) => {
       this.logger.error({
         reqId,
         err,
-        field,
-        indexname: field,
+        count: uids.length,
         table: this.table,
-      }, 'Cannot create simple index');
+      }, 'Cannot delete entries');
+      throw this.wrapError(err, errors.DatabaseWriteError, { reqId, operation: 'dbDeleteMany' });
     });
   }
 
-  dbCreateCompoundIndex({reqId, name, fields}) {
-    const rFields = fields.map(field => r.row(field));
-
-    return r.table(this.table).indexCreate(name, rFields).run(this.dbConn).then((dbResult) => {
+  dbRestore({reqId, id, actor}) {
+    return validateUUID(id, this.entryIdentifier).then(uid => this.dbRun('dbRestore', this.dbSelect(uid).replace(row => r.branch(
+      row.eq(null),
+      null,
+      row.without(deletedAtField, deletedByField)
+    ), { returnChanges: true }))).then((dbResult) => {
+      if (dbResult.errors) {
+        throw new errors.DatabaseWriteError('Error occurred during restore entry', { dbResult, cause: dbResult.first_error });
+      }
       this.logger.trace({
         reqId,
         dbResult,
-        fields,
-        indexname: name,
+        id,
         table: this.table,
-      }, 'Creating compound index');
-
-      return r.table(this.table).indexWait(name).run(this.dbConn);
-    }).then((dbResult) => {
-      this.logger.trace({
+      }, 'Restored entry');
+      return this.recordChanges({ reqId, operation: 'restore', actor, changes: dbResult.changes }).then(() => dbResult.changes);
+    }).catch((err) => {
+      this.logger.error({
         reqId,
-        dbResult,
-        fields,
-        indexname: name,
+        id,
+        err,
+        dbResult: err.dbResult || undefined,
+        table: this.table,
+      }, 'Cannot restore');
+      throw this.wrapError(err, errors.DatabaseWriteError, { reqId, id, operation: 'dbRestore' });
+    });
+  }
+
+  // DB Admin
+  dbCreateTable({reqId}) {
+    return this.dbRun('dbCreateTable', r.tableCreate(this.table, {
+      primaryKey: this.uuidField,
+    })).then((dbResult) => {
+      this.logger.trace({
+        reqId,
+        dbResult,
+        table: this.table,
+      }, 'Created table');
+      return this.audit ? this.audit.createTable({ reqId }) : null;
+    }).then(() => this.table).catch((err) => {
+      this.logger.error({
+        reqId,
+        err,
+      }, 'Cannot create table');
+      throw err;
+    });
+  }
+
+  dbDropTable({reqId}) {
+    return this.dbRun('dbDropTable', r.tableDrop(this.table)).then((dbResult) => {
+      this.logger.trace({
+        reqId,
+        dbResult,
+        table: this.table,
+      }, 'Dropped table');
+      return this.audit ? this.audit.dropTable({ reqId }) : null;
+    }).then(() => this.table).catch((err) => {
+      this.logger.error({
+        reqId,
+        err,
+      }, 'Cannot drop table');
+      throw err;
+    });
+  }
+
+  dbCreateSimpleIndex({reqId, field}) {
+    return this.dbRun('dbCreateSimpleIndex', r.table(this.table).indexCreate(field)).then((dbResult) => {
+      this.logger.trace({
+        reqId,
+        dbResult,
+        field,
+        indexname: field,
+        table: this.table,
+      }, 'Creating simple index');
+
+      return this.dbRun('dbCreateSimpleIndex', r.table(this.table).indexWait(field));
+    }).then((dbResult) => {
+      this.logger.trace({
+        reqId,
+        dbResult,
+        field,
+        indexname: field,
+        table: this.table,
+      }, 'Created simple index');
+      this.indexes.set(field, [field]);
+      return field;
+    }, (err) => {
+      this.logger.error({
+        reqId,
+        err,
+        field,
+        indexname: field,
+        table: this.table,
+      }, 'Cannot create simple index');
+      throw err;
+    });
+  }
+
+  dbCreateCompoundIndex({reqId, name, fields}) {
+    const rFields = fields.map(field => r.row(field));
+
+    return this.dbRun('dbCreateCompoundIndex', r.table(this.table).indexCreate(name, rFields)).then((dbResult) => {
+      this.logger.trace({
+        reqId,
+        dbResult,
+        fields,
+        indexname: name,
+        table: this.table,
+      }, 'Creating compound index');
+
+      return this.dbRun('dbCreateCompoundIndex', r.table(this.table).indexWait(name));
+    }).then((dbResult) => {
+      this.logger.trace({
+        reqId,
+        dbResult,
+        fields,
+        indexname: name,
         table: this.table,
       }, 'Created compound index');
+      this.indexes.set(name, fields);
       return name;
     }, (err) => {
       this.logger.error({
@@ -467,12 +1837,87 @@ class CachedRethinkDB {
         indexname: name,
         table: this.table,
       }, 'Cannot create compound index');
+      throw err;
+    });
+  }
+
+  // Create the tables and indexes missing from the spec and drop indexes no longer in it, see SchemaManager
+  // A dry run only reports the diff
+  ensureSchema({reqId, tables = [], indexes, dryRun = false} = {}) {
+    return new SchemaManager({ cachedDb: this }).ensureSchema({ reqId, tables, indexes, dryRun }).catch((err) => {
+      this.logger.error({
+        reqId,
+        err,
+        table: this.table,
+      }, 'Cannot ensure schema');
+      throw err;
+    });
+  }
+
+  // Apply the migrations not recorded yet, in version order, see SchemaManager
+  // A dry run only reports the pending ones
+  migrate({reqId, migrations, dryRun = false}) {
+    return new SchemaManager({ cachedDb: this }).migrate({ reqId, migrations, dryRun }).catch((err) => {
+      this.logger.error({
+        reqId,
+        err,
+        table: this.table,
+      }, 'Cannot migrate');
+      throw err;
+    });
+  }
+
+  // Change Feed
+  // Keep the cache in sync with writes that bypass this instance. When a dropped feed is back the cache of the table
+  // is flushed, as changes made meanwhile are lost, and watchReady reports resumed and the number of keys flushed
+  watch({reqId, retryDelay = 1000, maxRetryDelay = 30000} = {}) {
+    if (this.feed) {
+      return Promise.resolve(this.table);
+    }
+    const feed = new ChangeFeed({ cachedDb: this, reqId, retryDelay, maxRetryDelay });
+    this.feed = feed;
+    return feed.open().then(() => {
+      this.logger.trace({
+        reqId,
+        table: this.table,
+      }, 'Watching table');
+      return this.table;
+    }).catch((err) => {
+      this.feed = null;
+      this.logger.error({
+        reqId,
+        err,
+        table: this.table,
+      }, 'Cannot watch table');
+      throw this.wrapError(err, errors.DatabaseError, { reqId, operation: 'watch' });
+    });
+  }
+
+  unwatch({reqId} = {}) {
+    const feed = this.feed;
+    if (!feed) {
+      return Promise.resolve(this.table);
+    }
+    this.feed = null;
+    return feed.close().catch((err) => {
+      this.logger.warn({
+        reqId,
+        err,
+        table: this.table,
+      }, 'Cannot close change feed');
+    }).then(() => {
+      this.logger.trace({
+        reqId,
+        table: this.table,
+      }, 'Stopped watching table');
+      this.emit('watchStopped', { table: this.table });
+      return this.table;
     });
   }
 
   // Basic CRUD operation for cached DB
   // Get a fresh copy from DB and cache it
-  load({reqId, id}) {
+  load({reqId, id, ttl}) {
     const action = 'load';
     return this.dbRetrieve({ reqId, id }).then((dbEntry) => {
       if (!dbEntry) {
@@ -482,9 +1927,13 @@ class CachedRethinkDB {
           id,
           table: this.table,
         }, 'Entry not found');
+        if (this.negativeTTL) {
+          return this.cacheTombstone({ reqId, id }).then(() => null);
+        }
         return null;
       }
-      return this.cacheSet({ reqId, entry: dbEntry });
+      const entry = this.withPendingWrites(dbEntry);
+      return this.cacheable({ reqId, entry }) ? this.cacheSet({ reqId, entry, ttl, fill: true }) : entry;
     }).then((entry) => {
       this.logger.trace({
         reqId,
@@ -500,20 +1949,94 @@ class CachedRethinkDB {
         err,
         id,
       }, 'Cannot load entry');
-      throw err;
+      throw this.wrapError(err, null, { reqId, id, operation: 'load' });
     });
   }
 
-  create({reqId, entry}) {
+  // Share a single in-flight load between concurrent cache misses of the same entry
+  loadOnce({reqId, id}) {
+    return validateRedisKey(id, this.redisKeyFn).then((redisKey) => {
+      const inflight = this.inflightLoads.get(redisKey);
+      if (inflight) {
+        this.countStat('coalesced');
+        this.logger.trace({
+          reqId,
+          id,
+          cache: 'coalesced',
+          table: this.table,
+        }, 'Joined in-flight load');
+        return inflight;
+      }
+      // With the redis circuit open the lock cannot be taken, read straight from DB
+      const locked = this.loadLock && !(this.breaker && this.breaker.isOpen);
+      const loading = (locked ? this.loadWithLock({ reqId, id, redisKey }) : this.load({ reqId, id }))
+        .finally(() => this.inflightLoads.delete(redisKey));
+      this.inflightLoads.set(redisKey, loading);
+      return loading;
+    });
+  }
+
+  // Only the instance holding the redis lock loads from DB, the others wait for it to fill the cache
+  loadWithLock({reqId, id, redisKey}) {
+    const lockKey = `${this.keyPrefix}lock:${redisKey}`;
+    const token = uuid.v4();
+    const deadline = Date.now() + this.loadLock.wait;
+
+    const waitForCache = () => Promise.delay(this.loadLock.retryDelay).then(() => this.cacheFetch({ reqId, id })).then((entry) => {
+      if (entry) {
+        return entry === TOMBSTONE ? null : entry;
+      }
+      return this.redisCall('exists', () => this.redis.existsAsync(lockKey)).then((locked) => {
+        if (!locked || Date.now() >= deadline) {
+          return this.load({ reqId, id });
+        }
+        return waitForCache();
+      });
+    });
+
+    return this.redisCall('set', () => this.redis.setAsync(lockKey, token, 'PX', this.loadLock.ttl, 'NX')).then((acquired) => {
+      if (!acquired) {
+        this.countStat('lockWaits');
+        this.logger.trace({
+          reqId,
+          id,
+          lockKey,
+          table: this.table,
+        }, 'Waiting for load lock');
+        return waitForCache();
+      }
+      return this.load({ reqId, id }).finally(() => this.redisCall('eval', () => this.redis.evalAsync(releaseLockScript, 1, lockKey, token)).catch((err) => {
+        this.logger.warn({
+          reqId,
+          id,
+          err,
+          lockKey,
+          table: this.table,
+        }, 'Cannot release load lock');
+      }));
+    }).catch((err) => {
+      const cacheErr = this.wrapError(err, errors.CacheError, { reqId, id, operation: 'loadWithLock' });
+      // Without redis there is no lock to take, load from DB directly
+      if (this.breaker && cacheErr instanceof errors.CacheError) {
+        return this.load({ reqId, id });
+      }
+      throw cacheErr;
+    });
+  }
+
+  create({reqId, entry, actor, ttl}) {
     const action = 'create';
     let uid;
-    let entryToBeCreated = entry || { };
-    return this.generateUUID({ reqId, entry: entryToBeCreated }).then((entryWithUUID) => {
-      entryToBeCreated = entryWithUUID;
+    let entryToBeCreated;
+    return this.runHooks('beforeCreate', { reqId, entry: entry || { } }, 'entry').then((context) => {
+      entryToBeCreated = context.entry;
+      return this.generateUUID({ reqId, entry: entryToBeCreated });
+    }).then((entryWithUUID) => {
+      entryToBeCreated = this.versionField ? Immutable.from(entryWithUUID).merge({ [this.versionField]: 1 }) : entryWithUUID;
       return validateUUID(entryToBeCreated, this.entryIdentifier);
     }).then((identifier) => {
       uid = identifier;
-      return this.dbCreate({ reqId, entry: entryToBeCreated });
+      return this.dbCreate({ reqId, entry: entryToBeCreated, actor });
     }).then((e) => {
       this.logger.trace({
         reqId,
@@ -521,7 +2044,8 @@ class CachedRethinkDB {
         entry: e,
         table: this.table,
       }, 'Entry created in DB');
-      return this.cacheSet({ reqId, entry: e });
+      return this.cacheInvalidateIndexes({ reqId, entries: [e] }).then(() => this.cacheSet({ reqId, entry: e, ttl }))
+        .then(cached => this.runAfterHooks('afterCreate', { reqId, entry: cached }).then(() => cached));
     }, (err) => {
       this.logger.error({
         reqId,
@@ -529,11 +2053,54 @@ class CachedRethinkDB {
         err,
         id: uid,
       }, 'Cannot retrieve entry');
-      throw err;
+      throw this.wrapError(err, null, { reqId, id: uid, operation: 'create' });
     });
   }
 
   retrieve({reqId, id}) {
+    const action = 'retrieve';
+    let localKey;
+    let generation;
+    return Promise.resolve().then(() => {
+      if (!this.localCache) {
+        return null;
+      }
+      return validateRedisKey(id, this.redisKeyFn).then((redisKey) => {
+        localKey = `${this.keyPrefix}${redisKey}`;
+        generation = this.localCache.readGeneration();
+        return this.localCache.get(localKey) || null;
+      });
+    }).then((localEntry) => {
+      if (localEntry) {
+        this.countStat('localHits');
+        this.logger.trace({
+          reqId,
+          action,
+          id,
+          cache: 'local',
+          table: this.table,
+        }, 'Entry local cache hit');
+        return localEntry;
+      }
+      return this.fetchOrLoad({ reqId, id }).then((entry) => {
+        if (localKey && entry && !staleEntries.has(entry)) {
+          this.localCache.set(localKey, entry, generation);
+        }
+        return entry;
+      });
+    }).then(entry => this.runHooks('afterRetrieve', { reqId, id, entry }).then(() => entry)).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        id,
+      }, 'Cannot retrieve entry');
+      throw this.wrapError(err, null, { reqId, id, operation: 'retrieve' });
+    });
+  }
+
+  // Redis, then DB on a miss
+  fetchOrLoad({reqId, id}) {
     const action = 'retrieve';
     return this.cacheFetch({ reqId, id }).then((cacheEntry) => {
       if (!cacheEntry) {
@@ -544,8 +2111,33 @@ class CachedRethinkDB {
           cache: 'miss',
           table: this.table,
         }, 'Entry cache miss');
-        return this.load({ reqId, id });
+        this.countStat('misses');
+        return this.loadOnce({ reqId, id });
+      }
+      if (cacheEntry === TOMBSTONE) {
+        this.countStat('negativeHits');
+        this.logger.trace({
+          reqId,
+          action,
+          id,
+          cache: 'negative',
+          table: this.table,
+        }, 'Entry cache negative hit');
+        return null;
+      }
+      if (staleEntries.has(cacheEntry)) {
+        this.countStat('staleHits');
+        this.logger.trace({
+          reqId,
+          action,
+          id,
+          cache: 'stale',
+          table: this.table,
+        }, 'Entry cache stale hit');
+        this.refreshStale({ reqId, id, action });
+        return cacheEntry;
       }
+      this.countStat('hits');
       this.logger.trace({
         reqId,
         action,
@@ -554,20 +2146,269 @@ class CachedRethinkDB {
         table: this.table,
       }, 'Entry cache hit');
       return cacheEntry;
+    });
+  }
+
+  // Reload a stale entry in the background, joining a load already in flight
+  refreshStale({reqId, id, action}) {
+    this.loadOnce({ reqId, id }).catch((err) => {
+      this.logger.warn({
+        reqId,
+        action,
+        id,
+        err,
+        table: this.table,
+      }, 'Cannot refresh stale entry');
+    });
+  }
+
+  // Redis, then DB when missing or stale, for a read-modify-write that cannot start from an outdated copy
+  fetchFresh({reqId, id}) {
+    return this.cacheFetch({ reqId, id }).then((cacheEntry) => {
+      if (cacheEntry === TOMBSTONE) {
+        return null;
+      }
+      return !cacheEntry || staleEntries.has(cacheEntry) ? this.loadOnce({ reqId, id }) : cacheEntry;
+    });
+  }
+
+  // Fetch all ids from cache in one round trip, then load the misses from DB with a single query
+  retrieveMany({reqId, ids}) {
+    const action = 'retrieveMany';
+    let entries;
+    let missIdx;
+    return Promise.resolve().then(() => {
+      if (!Array.isArray(ids)) {
+        throw new errors.InvalidArgumentError('Parameter ids must be an array');
+      }
+      return this.cacheFetchMany({ reqId, ids });
+    }).then((cacheEntries) => {
+      entries = cacheEntries;
+      missIdx = [];
+      entries.forEach((entry, idx) => {
+        if (!entry) {
+          missIdx.push(idx);
+        }
+      });
+      const negativeHits = entries.filter(entry => entry === TOMBSTONE).length;
+      const staleIdx = [];
+      entries.forEach((entry, idx) => {
+        if (entry && staleEntries.has(entry)) {
+          staleIdx.push(idx);
+        }
+      });
+      this.countStat('hits', ids.length - missIdx.length - negativeHits - staleIdx.length);
+      this.countStat('staleHits', staleIdx.length);
+      this.countStat('negativeHits', negativeHits);
+      this.countStat('misses', missIdx.length);
+      this.logger.trace({
+        reqId,
+        action,
+        count: ids.length,
+        misses: missIdx.length,
+        stale: staleIdx.length,
+        table: this.table,
+      }, 'Entries cache lookup');
+      staleIdx.forEach(idx => this.refreshStale({ reqId, id: ids[idx], action }));
+      if (!missIdx.length) {
+        return [];
+      }
+      return this.dbRetrieveMany({ reqId, ids: missIdx.map(idx => ids[idx]) });
+    }).then((dbEntries) => {
+      const notFound = [];
+      missIdx.forEach((idx, i) => {
+        entries[idx] = this.withPendingWrites(dbEntries[i]);
+        if (!dbEntries[i]) {
+          notFound.push(ids[idx]);
+        }
+      });
+      const toCache = missIdx.map(idx => entries[idx]).filter(entry => !!entry && this.cacheable({ reqId, entry }));
+      return Promise.all([
+        toCache.length ? this.cacheSetMany({ reqId, entries: toCache, fill: true }) : null,
+        this.negativeTTL ? Promise.map(notFound, id => this.cacheTombstone({ reqId, id })) : null,
+      ]);
+    }).then(() => entries.map(entry => (entry === TOMBSTONE ? null : entry))).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        ids,
+      }, 'Cannot retrieve entries');
+      throw this.wrapError(err, null, { reqId, operation: 'retrieveMany' });
+    });
+  }
+
+  // Look up entries by secondary index, the matching ids are cached per index value while the entries go through the entry cache
+  findByIndex({reqId, index, value}) {
+    const action = 'findByIndex';
+    return Promise.resolve().then(() => {
+      if (!this.indexes.has(index)) {
+        throw new errors.InvalidArgumentError(`Index ${index} is not registered`);
+      }
+      if (value === undefined || value === null) {
+        throw new errors.InvalidArgumentError('Parameter value cannot be undefined or null');
+      }
+      return this.cacheFetchIndex({ reqId, index, value });
+    }).then((ids) => {
+      if (ids) {
+        this.logger.trace({
+          reqId,
+          action,
+          index,
+          cache: 'hit',
+          table: this.table,
+        }, 'Index cache hit');
+        return this.retrieveMany({ reqId, ids }).then(entries => entries.filter(entry => !!entry));
+      }
+      this.logger.trace({
+        reqId,
+        action,
+        index,
+        cache: 'miss',
+        table: this.table,
+      }, 'Index cache miss');
+      return this.dbFindByIndex({ reqId, index, value }).then((dbEntries) => {
+        const entries = dbEntries.map(entry => this.withPendingWrites(entry));
+        const entryIds = entries.map(entry => ({ [this.uuidField]: entry[this.uuidField] }));
+        const toCache = entries.filter(entry => this.cacheable({ reqId, entry }));
+        return Promise.all([
+          this.cacheSetIndex({ reqId, index, value, ids: entryIds }),
+          toCache.length ? this.cacheSetMany({ reqId, entries: toCache, fill: true }) : null,
+        ]).then(() => entries);
+      });
     }).catch((err) => {
       this.logger.error({
         reqId,
         action,
         err,
-        id,
-      }, 'Cannot retrieve entry');
-      throw err;
+        index,
+        value,
+      }, 'Cannot find entries');
+      throw this.wrapError(err, null, { reqId, operation: 'findByIndex' });
     });
   }
 
-  update({reqId, id, updateObjOrFn}) {
+  findOne({reqId, index, value}) {
+    return this.findByIndex({ reqId, index, value }).then(entries => entries[0] || null);
+  }
+
+  // Page through the table ordered by the primary key or a registered index, pass the returned cursor as after to get the next page
+  list({reqId, filter, orderBy = 'asc', index, limit = 25, after}) {
+    const action = 'list';
+    const pk = this.uuidField;
+    const listIndex = index || pk;
+    const desc = orderBy === 'desc';
+    let fields;
+    return Promise.resolve().then(() => {
+      if (orderBy !== 'asc' && orderBy !== 'desc') {
+        throw new errors.InvalidArgumentError('Parameter orderBy must be asc or desc');
+      }
+      if (listIndex !== pk && !this.indexes.has(listIndex)) {
+        throw new errors.InvalidArgumentError(`Index ${listIndex} is not registered`);
+      }
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new errors.InvalidArgumentError('Parameter limit must be a positive integer');
+      }
+      fields = listIndex === pk ? [pk] : this.indexes.get(listIndex);
+
+      let query = r.table(this.table);
+      if (after) {
+        const position = decodeCursor(after, listIndex, orderBy);
+        if (listIndex === pk) {
+          query = desc ?
+            query.between(r.minval, position.id, { index: pk, rightBound: 'open' }) :
+            query.between(position.id, r.maxval, { index: pk, leftBound: 'open' });
+        } else {
+          // Entries sharing the index value are ordered by primary key, skip the ones already returned
+          query = desc ?
+            query.between(r.minval, position.value, { index: listIndex, rightBound: 'closed' }) :
+            query.between(position.value, r.maxval, { index: listIndex, leftBound: 'closed' });
+          query = query.orderBy({ index: desc ? r.desc(listIndex) : listIndex }).filter((row) => {
+            const value = fields.length === 1 ? row(fields[0]) : r.expr(fields.map(field => row(field)));
+            return value.ne(position.value).or(desc ? row(pk).lt(position.id) : row(pk).gt(position.id));
+          });
+        }
+      }
+      if (listIndex === pk || !after) {
+        query = query.orderBy({ index: desc ? r.desc(listIndex) : listIndex });
+      }
+      query = this.scopeQuery(query);
+      if (this.softDelete) {
+        query = query.filter(row => row.hasFields(deletedAtField).not());
+      }
+      if (filter) {
+        query = query.filter(filter);
+      }
+      return this.dbRun('list', query.limit(limit + 1).coerceTo('array'));
+    }).then((dbEntries) => {
+      const page = dbEntries.slice(0, limit);
+      const last = page[page.length - 1];
+      const next = dbEntries.length > limit ? encodeCursor({
+        index: listIndex,
+        orderBy,
+        value: indexValue(fields, last),
+        id: last[pk],
+      }) : null;
+      const entries = page.filter((entry) => {
+        if (this.retrieveValidator && !this.retrieveValidator(entry)) {
+          this.logger.warn({
+            reqId,
+            id: entry[pk],
+            table: this.table,
+            selectValidation: 'failed',
+          }, 'Failed validation during list');
+          this.countMetric('cachedb_validation_rejections_total', { validator: 'retrieve' });
+          return false;
+        }
+        return true;
+      });
+      this.logger.trace({
+        reqId,
+        action,
+        index: listIndex,
+        count: entries.length,
+        hasMore: !!next,
+        table: this.table,
+      }, 'Listed entries');
+      return { entries, next };
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        index: listIndex,
+        table: this.table,
+      }, 'Cannot list entries');
+      throw this.wrapError(err, errors.DatabaseError, { reqId, operation: 'list' });
+    });
+  }
+
+  // Resolves to the entry, or to { entry, changed } with returnChanged, changed telling whether the update modified it
+  // beforeUpdate hooks are told with writeBehind when a plain update would be queued, so that they keep it plain
+  update({reqId, id, updateObjOrFn, expectedVersion, actor, ttl, returnChanged = false}) {
+    // A versioned entry is written through, a queued update would leave the cached copy behind the version in DB
+    const writeBehind = !!this.writeBehind && !this.versionField && expectedVersion === undefined;
+    return this.runHooks('beforeUpdate', { reqId, id, update: updateObjOrFn, writeBehind }, 'update').then((context) => {
+      const update = context.update;
+      if (writeBehind && update && typeof update === 'object' && isPlainValue(update)) {
+        return this.updateBehind({ reqId, id, updateObjOrFn: update, actor, ttl });
+      }
+      return this.updateThrough({ reqId, id, updateObjOrFn: update, expectedVersion, actor, ttl });
+    }).then((result) => {
+      const resolved = returnChanged ? result : result.entry;
+      return this.runAfterHooks('afterUpdate', { reqId, id, entry: result.entry, changed: result.changed }).then(() => resolved);
+    }).catch((err) => {
+      throw this.wrapError(err, null, { reqId, id, operation: 'update' });
+    });
+  }
+
+  // Write the update to DB right away and cache the result
+  updateThrough({reqId, id, updateObjOrFn, expectedVersion, actor, ttl}) {
     const action = 'update';
-    return this.dbUpdate({ reqId, id, updateObjOrFn }).then((changes) => {
+    // Pending writes have to land first, or they would overwrite this update when flushed
+    let changes;
+    return this.flush({ reqId, id }).then(() => this.dbUpdate({ reqId, id, updateObjOrFn, expectedVersion, actor })).then((dbChanges) => {
+      changes = dbChanges;
       this.logger.trace({
         reqId,
         action,
@@ -575,44 +2416,507 @@ class CachedRethinkDB {
         changes,
         table: this.table,
       }, 'Entry updated in DB');
-      return this.load({ reqId, id });
-    }, (err) => {
+      const entries = [];
+      changes.forEach((change) => {
+        entries.push(change.old_val, change.new_val);
+      });
+      return this.cacheInvalidateIndexes({ reqId, entries });
+    }).then(() => {
+      const change = changes[0];
+      if (!change) {
+        // Nothing was written, the entry is either unchanged or missing
+        return this.load({ reqId, id, ttl }).then(entry => ({ entry, changed: false }));
+      }
+      const entry = change.new_val;
+      if (this.isDeleted(entry)) {
+        return this.cacheInvalidate({ reqId, id }).then(() => ({ entry: null, changed: true }));
+      }
+      if (this.retrieveValidator && !this.retrieveValidator(entry)) {
+        this.logger.warn({
+          reqId,
+          action,
+          id,
+          table: this.table,
+          selectValidation: 'failed',
+        }, 'Failed validation during update');
+        this.countMetric('cachedb_validation_rejections_total', { validator: 'retrieve' });
+        return this.cacheInvalidate({ reqId, id }).then(() => ({ entry: null, changed: true }));
+      }
+      return this.cacheSet({ reqId, entry: this.withPendingWrites(entry), ttl }).then(cached => ({ entry: cached, changed: true }));
+    }).catch((err) => {
       this.logger.error({
         reqId,
         action,
         err,
         id,
       }, 'Cannot update entry');
-      throw err;
+      throw this.wrapError(err, null, { reqId, id, operation: 'update' });
     });
   }
 
-  delete({reqId, id}) {
+  // Apply the update to the cached copy right away and queue the DB write
+  updateBehind({reqId, id, updateObjOrFn, actor, ttl}) {
+    const action = 'update';
+    return validateUUID(id, this.entryIdentifier).then(uid => this.writeBehind.serialize(uid, () => this.fetchFresh({ reqId, id }).then((entry) => {
+      if (!entry) {
+        throw new errors.NotFoundError('Entry does not exist');
+      }
+      const updated = mergePatch(entry, updateObjOrFn);
+      return this.validateEntry({ reqId, entry: updated }).then(() => {
+        this.writeBehind.push({ reqId, uid, id, patch: updateObjOrFn, actor });
+        this.logger.trace({
+          reqId,
+          action,
+          id,
+          pending: this.writeBehind.size,
+          table: this.table,
+        }, 'Entry update queued');
+        return this.cacheInvalidateIndexes({ reqId, entries: [entry, updated] });
+      }).then(() => this.cacheSet({ reqId, entry: updated, ttl }))
+        .then(cached => ({ entry: cached, changed: JSON.stringify(cached) !== JSON.stringify(entry) }));
+    }))).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        id,
+      }, 'Cannot update entry');
+      throw this.wrapError(err, null, { reqId, id, operation: 'updateBehind' });
+    });
+  }
+
+  delete({reqId, id, actor}) {
+    return this.runHooks('beforeDelete', { reqId, id, actor, purge: !this.softDelete })
+      .then(() => (this.softDelete ? this.softDeleteEntry({ reqId, id, actor }) : this.purgeEntry({ reqId, id, actor })))
+      .then(deletedId => this.runAfterHooks('afterDelete', { reqId, id, actor, purge: !this.softDelete }).then(() => deletedId))
+      .catch((err) => {
+        throw this.wrapError(err, null, { reqId, id, operation: 'delete' });
+      });
+  }
+
+  // Remove the entry for good, even with softDelete enabled
+  purge({reqId, id, actor}) {
+    return this.runHooks('beforeDelete', { reqId, id, actor, purge: true })
+      .then(() => this.purgeEntry({ reqId, id, actor }))
+      .then(deletedId => this.runAfterHooks('afterDelete', { reqId, id, actor, purge: true }).then(() => deletedId))
+      .catch((err) => {
+        throw this.wrapError(err, null, { reqId, id, operation: 'purge' });
+      });
+  }
+
+  // Stamp the entry as deleted, it then reads as missing until restored
+  softDeleteEntry({reqId, id, actor}) {
     const action = 'delete';
+    const stamp = { [deletedAtField]: r.now() };
+    if (actor !== undefined) {
+      stamp[deletedByField] = actor;
+    }
     return this.dbExist({ reqId, id }).then((exist) => {
       if (!exist) {
-        return id;
+        return [];
+      }
+      // Keep the original stamp when the entry is already soft-deleted, an entry purged meanwhile is deleted all the same
+      return this.dbUpdate({ reqId, id, updateObjOrFn: row => r.branch(row.hasFields(deletedAtField), {}, stamp), actor, auditOperation: 'delete' }).catch((err) => {
+        if (err instanceof errors.NotFoundError) {
+          return [];
+        }
+        throw err;
+      });
+    }).then((changes) => {
+      if (this.writeBehind) {
+        this.writeBehind.discard(this.entryIdentifier(id));
       }
-      return this.dbDelete({ reqId, id });
-    }).then((deletedId) => {
       this.logger.trace({
         reqId,
         action,
         id,
+        actor,
         table: this.table,
-      }, 'Entry deleted from DB');
-      return this.cacheInvalidate({ reqId, id: deletedId });
-    }, (err) => {
+      }, 'Entry soft-deleted in DB');
+      return this.cacheInvalidateIndexes({ reqId, entries: changes.map(change => change.old_val) });
+    }).then(() => this.cacheInvalidate({ reqId, id }), (err) => {
       this.logger.error({
         reqId,
         action,
         err,
         id,
       }, 'Cannot delete entry');
-      throw err;
+      throw this.wrapError(err, null, { reqId, id, operation: 'delete' });
+    });
+  }
+
+  restore({reqId, id, ttl}) {
+    const action = 'restore';
+    return Promise.resolve().then(() => {
+      if (!this.softDelete) {
+        throw new errors.InvalidArgumentError('restore requires softDelete');
+      }
+      return this.dbRestore({ reqId, id });
+    }).then((changes) => {
+      this.logger.trace({
+        reqId,
+        action,
+        id,
+        table: this.table,
+      }, 'Entry restored in DB');
+      const entries = [];
+      changes.forEach((change) => {
+        entries.push(change.old_val, change.new_val);
+      });
+      return this.cacheInvalidateIndexes({ reqId, entries });
+    }).then(() => this.load({ reqId, id, ttl })).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        id,
+      }, 'Cannot restore entry');
+      throw this.wrapError(err, null, { reqId, id, operation: 'restore' });
+    });
+  }
+
+  // Records of the changes made to an entry, latest first, see AuditLog
+  history({reqId, id, limit = 25}) {
+    const action = 'history';
+    return Promise.resolve().then(() => {
+      if (!this.audit) {
+        throw new errors.InvalidArgumentError('history requires audit');
+      }
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new errors.InvalidArgumentError('Parameter limit must be a positive integer');
+      }
+      return validateUUID(id, this.entryIdentifier);
+    }).then(uid => this.audit.history({ uid, limit })).then((records) => {
+      this.logger.trace({
+        reqId,
+        action,
+        id,
+        count: records.length,
+        table: this.table,
+      }, 'Retrieved entry history');
+      return records;
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        id,
+      }, 'Cannot retrieve entry history');
+      throw this.wrapError(err, errors.DatabaseError, { reqId, id, operation: 'history' });
+    });
+  }
+
+  // Bring an entry back to the state of one of its history versions, through update() so the cache, hooks and schema
+  // apply as usual and the revert is recorded as a change of its own
+  revert({reqId, id, toVersion, actor, ttl}) {
+    const action = 'revert';
+    return Promise.resolve().then(() => {
+      if (!this.audit) {
+        throw new errors.InvalidArgumentError('revert requires audit');
+      }
+      if (!Number.isInteger(toVersion) || toVersion < 1) {
+        throw new errors.InvalidArgumentError('Parameter toVersion must be a positive integer');
+      }
+      return validateUUID(id, this.entryIdentifier);
+    }).then(uid => this.audit.revertUpdate({ uid, toVersion, skipFields: [this.uuidField].concat(this.versionField || []) })).then((updateObj) => {
+      this.logger.trace({
+        reqId,
+        action,
+        id,
+        toVersion,
+        fields: Object.keys(updateObj),
+        table: this.table,
+      }, 'Reverting entry');
+      return this.update({ reqId, id, updateObjOrFn: updateObj, actor, ttl });
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        id,
+        toVersion,
+      }, 'Cannot revert entry');
+      throw this.wrapError(err, errors.DatabaseError, { reqId, id, operation: 'revert' });
+    });
+  }
+
+  purgeEntry({reqId, id, actor}) {
+    const action = 'purge';
+    return this.dbExist({ reqId, id }).then((exist) => {
+      if (!exist) {
+        return [];
+      }
+      return this.dbDelete({ reqId, id, actor, returnChanges: true });
+    }).then((changes) => {
+      if (this.writeBehind) {
+        this.writeBehind.discard(this.entryIdentifier(id));
+      }
+      this.logger.trace({
+        reqId,
+        action,
+        id,
+        table: this.table,
+      }, 'Entry purged from DB');
+      return this.cacheInvalidateIndexes({ reqId, entries: changes.map(change => change.old_val) });
+    }).then(() => this.cacheInvalidate({ reqId, id }), (err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        id,
+      }, 'Cannot purge entry');
+      throw this.wrapError(err, null, { reqId, id, operation: 'purge' });
+    });
+  }
+
+  // Bulk CRUD operation, one DB query and one redis round trip for the whole batch
+  // Each returns a result per input item, in input order, so one bad row does not fail the others
+  createMany({reqId, entries, actor, ttl}) {
+    const action = 'createMany';
+    let items;
+    return Promise.resolve().then(() => {
+      if (!Array.isArray(entries)) {
+        throw new errors.InvalidArgumentError('Parameter entries must be an array');
+      }
+      return Promise.map(entries, entry => this.runHooks('beforeCreate', { reqId, entry: entry || { } }, 'entry').reflect());
+    }).then((hooked) => {
+      const fulfilled = [];
+      const positions = hooked.map(inspection => (inspection.isFulfilled() ? fulfilled.push(inspection.value().entry) - 1 : -1));
+      return this.resolveTerms(fulfilled).then(resolved => hooked.map((inspection, idx) => (
+        positions[idx] < 0 ? { error: inspection.reason() } : { entry: resolved[positions[idx]] })));
+    }).then((hooked) => {
+      // Fresh v4 uuids, a collision is reported by the insert instead of checked beforehand
+      items = hooked.map((item) => {
+        if (item.error) {
+          return item;
+        }
+        const stamp = Object.assign({ [this.uuidField]: `${this.uuidPrefix}${uuid.v4()}` }, this.tenantFilter);
+        if (this.versionField) {
+          stamp[this.versionField] = 1;
+        }
+        return { entry: Immutable.from(item.entry).merge(stamp) };
+      });
+      return Promise.map(items, item => (item.error ? Promise.reject(item.error) : validateUUID(item.entry, this.entryIdentifier)).reflect());
+    }).then((inspections) => {
+      inspections.forEach((inspection, idx) => {
+        const item = items[idx];
+        const failures = inspection.isFulfilled() && this.schema ? this.schema(item.entry) : [];
+        if (!inspection.isFulfilled()) {
+          item.error = inspection.reason();
+        } else if (failures.length) {
+          this.countMetric('cachedb_validation_rejections_total', { validator: 'schema' });
+          item.error = schemaError(item.entry, failures);
+        } else {
+          item.uid = inspection.value();
+        }
+      });
+      const valid = items.filter(item => !item.error);
+      if (!valid.length) {
+        return [];
+      }
+      return this.dbCreateMany({ reqId, entries: valid.map(item => item.entry), actor });
+    }).then((changes) => {
+      const byId = changesById(changes, this.entryIdentifier);
+      const created = [];
+      const results = items.map((item) => {
+        if (item.error) {
+          return { ok: false, error: errors.wrap(item.error, null, { table: this.table, reqId, operation: action }) };
+        }
+        const change = byId.get(item.uid);
+        if (!change || change.error || !change.new_val) {
+          const cause = change && change.error;
+          return { ok: false, error: new errors.DatabaseWriteError(cause || 'Entry was not created', { table: this.table, id: item.uid, reqId, operation: action, cause }) };
+        }
+        created.push(change.new_val);
+        return { ok: true, entry: change.new_val };
+      });
+      this.logger.trace({
+        reqId,
+        action,
+        count: items.length,
+        created: created.length,
+        table: this.table,
+      }, 'Entries created in DB');
+      if (!created.length) {
+        return results;
+      }
+      return this.cacheInvalidateIndexes({ reqId, entries: created })
+        .then(() => this.cacheSetMany({ reqId, entries: created, ttl }))
+        .then(() => this.runBulkHooks('afterCreate', results, result => ({ reqId, entry: result.entry })));
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        table: this.table,
+      }, 'Cannot create entries');
+      throw this.wrapError(err, null, { reqId, operation: 'createMany' });
+    });
+  }
+
+  updateMany({reqId, ids, updateObjOrFn, actor, ttl}) {
+    const action = 'updateMany';
+    let items;
+    let update;
+    return Promise.resolve().then(() => {
+      if (!Array.isArray(ids)) {
+        throw new errors.InvalidArgumentError('Parameter ids must be an array');
+      }
+      // The same update applies to every entry, so it goes through beforeUpdate once for the whole batch
+      return this.runHooks('beforeUpdate', { reqId, ids, update: updateObjOrFn }, 'update');
+    }).then((hooked) => {
+      update = hooked.update;
+      return Promise.map(ids, id => validateUUID(id, this.entryIdentifier).reflect());
+    }).then((inspections) => {
+      items = inspections.map(inspection => (inspection.isFulfilled() ? { uid: inspection.value() } : { error: inspection.reason() }));
+      const uids = items.filter(item => !item.error).map(item => item.uid);
+      if (!uids.length) {
+        return [];
+      }
+      // Pending writes have to land first, or they would overwrite this update when flushed. Entries whose pending
+      // writes cannot be flushed fail with the flush error and the rest of the batch goes on
+      return (this.writeBehind ? this.writeBehind.flush({ reqId, uids }) : Promise.resolve()).catch((err) => {
+        if (!err.failures) {
+          throw err;
+        }
+        const failed = new Map(err.failures.map(failure => [failure.uid, failure.err]));
+        items = items.map(item => (failed.has(item.uid) ? { error: failed.get(item.uid) } : item));
+      }).then(() => {
+        const flushed = items.filter(item => !item.error).map(item => item.uid);
+        return flushed.length ? this.dbUpdateMany({ reqId, uids: flushed, updateObjOrFn: update, actor }) : [];
+      });
+    }).then((changes) => {
+      const byId = changesById(changes, this.entryIdentifier);
+      const touched = [];
+      const toCache = [];
+      const toInvalidate = [];
+      const results = items.map((item, idx) => {
+        if (item.error) {
+          return { ok: false, error: errors.wrap(item.error, null, { table: this.table, id: ids[idx], reqId, operation: action }) };
+        }
+        const change = byId.get(item.uid);
+        if (!change) {
+          return { ok: false, error: new errors.NotFoundError('Entry does not exist', { table: this.table, id: ids[idx], reqId, operation: action }) };
+        }
+        if (change.error) {
+          return { ok: false, error: errors.wrap(change.error, errors.DatabaseWriteError, { table: this.table, id: ids[idx], reqId, operation: action }) };
+        }
+        const entry = change.new_val;
+        const changed = JSON.stringify(change.old_val) !== JSON.stringify(entry);
+        touched.push(change.old_val, entry);
+        if (this.isDeleted(entry) || (this.retrieveValidator && !this.retrieveValidator(entry))) {
+          toInvalidate.push(ids[idx]);
+          return { ok: true, entry: null, changed };
+        }
+        const cached = this.withPendingWrites(entry);
+        toCache.push(cached);
+        return { ok: true, entry: cached, changed };
+      });
+      this.logger.trace({
+        reqId,
+        action,
+        count: items.length,
+        updated: toCache.length + toInvalidate.length,
+        table: this.table,
+      }, 'Entries updated in DB');
+      return this.cacheInvalidateIndexes({ reqId, entries: touched }).then(() => Promise.all([
+        toCache.length ? this.cacheSetMany({ reqId, entries: toCache, ttl }) : null,
+        toInvalidate.length ? this.cacheInvalidateMany({ reqId, ids: toInvalidate }) : null,
+      ])).then(() => this.runBulkHooks('afterUpdate', results, (result, idx) => ({ reqId, id: ids[idx], entry: result.entry, changed: result.changed })));
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        table: this.table,
+      }, 'Cannot update entries');
+      throw this.wrapError(err, null, { reqId, operation: 'updateMany' });
+    });
+  }
+
+  deleteMany({reqId, ids, actor}) {
+    const action = 'deleteMany';
+    let items;
+    return Promise.resolve().then(() => {
+      if (!Array.isArray(ids)) {
+        throw new errors.InvalidArgumentError('Parameter ids must be an array');
+      }
+      return Promise.map(ids, (id, idx) => validateUUID(id, this.entryIdentifier)
+        .tap(() => this.runHooks('beforeDelete', { reqId, id: ids[idx], actor, purge: !this.softDelete }))
+        .reflect());
+    }).then((inspections) => {
+      items = inspections.map(inspection => (inspection.isFulfilled() ? { uid: inspection.value() } : { error: inspection.reason() }));
+      const uids = items.filter(item => !item.error).map(item => item.uid);
+      if (!uids.length) {
+        return [];
+      }
+      if (!this.softDelete) {
+        return this.dbDeleteMany({ reqId, uids, actor });
+      }
+      const stamp = { [deletedAtField]: r.now() };
+      if (actor !== undefined) {
+        stamp[deletedByField] = actor;
+      }
+      // Keep the original stamp of entries already soft-deleted
+      return this.dbUpdateMany({ reqId, uids, updateObjOrFn: row => r.branch(row.hasFields(deletedAtField), {}, stamp), actor, auditOperation: 'delete' });
+    }).then((changes) => {
+      const byId = changesById(changes, this.entryIdentifier);
+      const deleted = [];
+      const toInvalidate = [];
+      const results = items.map((item, idx) => {
+        if (item.error) {
+          return { ok: false, error: errors.wrap(item.error, null, { table: this.table, id: ids[idx], reqId, operation: action }) };
+        }
+        const change = byId.get(item.uid);
+        if (change && change.error) {
+          return { ok: false, error: errors.wrap(change.error, errors.DatabaseWriteError, { table: this.table, id: ids[idx], reqId, operation: action }) };
+        }
+        // Deleting a missing entry is not an error, same as delete()
+        if (change) {
+          deleted.push(change.old_val);
+        }
+        if (this.writeBehind) {
+          this.writeBehind.discard(item.uid);
+        }
+        toInvalidate.push(ids[idx]);
+        return { ok: true, id: ids[idx] };
+      });
+      this.logger.trace({
+        reqId,
+        action,
+        count: items.length,
+        deleted: deleted.length,
+        actor,
+        table: this.table,
+      }, 'Entries deleted in DB');
+      return this.cacheInvalidateIndexes({ reqId, entries: deleted })
+        .then(() => (toInvalidate.length ? this.cacheInvalidateMany({ reqId, ids: toInvalidate }) : null))
+        .then(() => this.runBulkHooks('afterDelete', results, result => ({ reqId, id: result.id, actor, purge: !this.softDelete })));
+    }).catch((err) => {
+      this.logger.error({
+        reqId,
+        action,
+        err,
+        table: this.table,
+      }, 'Cannot delete entries');
+      throw this.wrapError(err, null, { reqId, operation: 'deleteMany' });
     });
   }
 }
 
 module.exports = CachedRethinkDB;
 module.exports.r = r;
+module.exports.TOMBSTONE = TOMBSTONE;
+module.exports.CachedRethinkDBError = errors.CachedRethinkDBError;
+module.exports.NotFoundError = errors.NotFoundError;
+module.exports.InvalidIdentifierError = errors.InvalidIdentifierError;
+module.exports.InvalidArgumentError = errors.InvalidArgumentError;
+module.exports.DatabaseError = errors.DatabaseError;
+module.exports.DatabaseWriteError = errors.DatabaseWriteError;
+module.exports.CacheError = errors.CacheError;
+module.exports.ConflictError = errors.ConflictError;
+module.exports.ValidationError = errors.ValidationError;
+module.exports.Serializer = Serializer;
+module.exports.MemoryCollector = metricsModule.MemoryCollector;
+module.exports.toPrometheus = metricsModule.toPrometheus;
+module.exports.timestamps = hooks.timestamps;
@@ -0,0 +1,130 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const Promise = require('bluebird');
+const r = require('rethinkdb');
+
+// Follows the changes() feed of a CachedRethinkDB table and applies every change to its cache
+// Changes made while the feed was down are lost, so once a dropped feed is back the cache of the table is flushed
+class ChangeFeed {
+  constructor({cachedDb, reqId, retryDelay, maxRetryDelay}) {
+    this.cachedDb = cachedDb;
+    this.reqId = reqId;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.attempt = 0;
+    this.cursor = null;
+    this.timer = null;
+    this.resumed = false;
+    this.stopped = false;
+  }
+
+  open() {
+    const cachedDb = this.cachedDb;
+    return Promise.resolve().then(() => {
+      if (cachedDb.pool) {
+        return cachedDb.pool.connection();
+      }
+      if (!cachedDb.dbConn.isOpen()) {
+        return cachedDb.dbConn.reconnect({ noreplyWait: false });
+      }
+      return cachedDb.dbConn;
+    }).then(conn => cachedDb.scopeQuery(r.table(cachedDb.table)).changes({ includeStates: true }).run(conn)).then((cursor) => {
+      if (this.stopped) {
+        return cursor.close();
+      }
+      this.cursor = cursor;
+      this.attempt = 0;
+      this.consume();
+      return cursor;
+    });
+  }
+
+  consume() {
+    const cachedDb = this.cachedDb;
+    this.cursor.next().then((change) => {
+      if (change.state) {
+        return change.state === 'ready' ? this.ready() : null;
+      }
+      return cachedDb.cacheSync({ reqId: this.reqId, change }).then(() => {
+        cachedDb.emit('watchChange', change);
+      }, (err) => {
+        cachedDb.logger.error({
+          reqId: this.reqId,
+          err,
+          table: cachedDb.table,
+        }, 'Cannot apply change to cache');
+      });
+    }).then(() => {
+      this.consume();
+    }, (err) => {
+      if (!this.stopped) {
+        this.reopen(err);
+      }
+    });
+  }
+
+  // Flushing only once the feed is ready leaves no change unseen, a change synced meanwhile is at worst dropped again
+  ready() {
+    const cachedDb = this.cachedDb;
+    return (this.resumed ? cachedDb.flushCache({ reqId: this.reqId }) : Promise.resolve(0)).then((flushed) => {
+      cachedDb.logger.trace({
+        reqId: this.reqId,
+        resumed: this.resumed,
+        flushed,
+        table: cachedDb.table,
+      }, 'Change feed ready');
+      cachedDb.emit('watchReady', { table: cachedDb.table, resumed: this.resumed, flushed });
+    }, (err) => {
+      // The cache may hold changes the feed missed, try again from a new feed
+      const cursor = this.cursor;
+      return Promise.resolve(cursor.close()).catch(() => null).then(() => {
+        throw err;
+      });
+    });
+  }
+
+  reopen(err) {
+    const cachedDb = this.cachedDb;
+    const retryIn = Math.min(this.retryDelay * Math.pow(2, this.attempt), this.maxRetryDelay);
+    this.attempt += 1;
+    this.cursor = null;
+    this.resumed = true;
+    cachedDb.logger.warn({
+      reqId: this.reqId,
+      err,
+      retryIn,
+      attempt: this.attempt,
+      table: cachedDb.table,
+    }, 'Change feed dropped');
+    cachedDb.emit('watchDropped', err, { table: cachedDb.table, attempt: this.attempt, retryIn });
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.open().catch(e => this.reopen(e));
+    }, retryIn);
+  }
+
+  close() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return Promise.resolve(this.cursor && this.cursor.close());
+  }
+}
+
+module.exports = ChangeFeed;
@@ -0,0 +1,118 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const Promise = require('bluebird');
+
+const errors = require('./errors');
+
+// Guards the redis commands of a CachedRethinkDB table in failOpen mode
+// After threshold consecutive failures the circuit opens and commands fail fast. Once resetTimeout passed, the
+// invalidations lost meanwhile are replayed to probe redis, and the circuit closes when that succeeds
+class CircuitBreaker {
+  constructor({cachedDb, timeout, threshold, resetTimeout, maxReplay}) {
+    this.cachedDb = cachedDb;
+    this.timeout = timeout;
+    this.threshold = threshold;
+    this.resetTimeout = resetTimeout;
+    this.maxReplay = maxReplay;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.replaying = false;
+    this.replay = new Set();
+  }
+
+  get isOpen() {
+    return this.openedAt !== null;
+  }
+
+  call(fn) {
+    if (!this.isOpen) {
+      return this.guard(fn);
+    }
+    if (this.probing || Date.now() - this.openedAt < this.resetTimeout) {
+      return Promise.reject(new errors.CacheError('Redis circuit is open', { table: this.cachedDb.table }));
+    }
+    // Replay before anything else, so that nothing stale is read once the circuit closes
+    this.probing = true;
+    return this.guard(() => this.replayInvalidations()).then(() => {
+      this.probing = false;
+      this.openedAt = null;
+      this.cachedDb.logger.warn({ table: this.cachedDb.table }, 'Redis circuit closed');
+      this.cachedDb.emit('cacheRecovered');
+      return this.call(fn);
+    });
+  }
+
+  guard(fn) {
+    return Promise.resolve().then(fn).timeout(this.timeout, 'Redis command timed out').then((result) => {
+      this.failures = 0;
+      // Keys queued while the circuit stayed closed are replayed on the next success
+      if (this.replay.size && !this.replaying && !this.probing) {
+        this.replaying = true;
+        this.guard(() => this.replayInvalidations()).catch(() => null).finally(() => {
+          this.replaying = false;
+        });
+      }
+      return result;
+    }, (err) => {
+      this.fail(err);
+      throw err;
+    });
+  }
+
+  fail(err) {
+    this.failures += 1;
+    this.probing = false;
+    if (this.isOpen) {
+      this.openedAt = Date.now();
+    } else if (this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+      this.cachedDb.logger.error({ table: this.cachedDb.table, err, failures: this.failures }, 'Redis circuit opened');
+      this.cachedDb.emit('cacheUnavailable', err);
+    }
+  }
+
+  // Remember keys that may hold stale copies because their write or invalidation did not reach redis
+  invalidateLater(keys) {
+    keys.forEach((key) => {
+      if (this.replay.size < this.maxReplay) {
+        this.replay.add(key);
+      } else if (!this.replay.has(key)) {
+        this.cachedDb.logger.error({ table: this.cachedDb.table, key }, 'Invalidation replay queue is full, key may stay stale until it expires');
+      }
+    });
+  }
+
+  // Delete the queued keys, or just PING when there are none
+  replayInvalidations() {
+    const keys = Array.from(this.replay);
+    if (!keys.length) {
+      return this.cachedDb.redis.pingAsync();
+    }
+    return this.cachedDb.redis.delAsync(keys).then((resolve) => {
+      keys.forEach((key) => {
+        this.replay.delete(key);
+      });
+      this.cachedDb.logger.trace({ table: this.cachedDb.table, count: keys.length, redisResult: resolve }, 'Replayed invalidations');
+      return keys.length;
+    });
+  }
+}
+
+module.exports = CircuitBreaker;
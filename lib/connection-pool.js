@@ -0,0 +1,221 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const Promise = require('bluebird');
+const r = require('rethinkdb');
+
+const errors = require('./errors');
+
+// One connection of the pool, with the count of queries running on it and the state of its reconnection
+class ConnectionSlot {
+  constructor(index) {
+    this.index = index;
+    this.conn = null;
+    this.active = 0;
+    this.attempt = 0;
+    this.timer = null;
+    this.lost = false;
+  }
+
+  // Returns whether the connection replaces a lost one
+  opened(conn) {
+    const reconnected = this.lost;
+    this.conn = conn;
+    this.attempt = 0;
+    this.lost = false;
+    return reconnected;
+  }
+
+  lose() {
+    this.conn = null;
+    this.lost = true;
+  }
+
+  // Returns the connection given up, if any
+  release() {
+    const conn = this.conn;
+    this.conn = null;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return conn;
+  }
+
+  schedule(connect, delay) {
+    this.attempt += 1;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      connect();
+    }, delay);
+    this.timer.unref();
+  }
+
+  begin() {
+    this.active += 1;
+  }
+
+  end() {
+    this.active -= 1;
+  }
+}
+
+// Owns the RethinkDB connections of a CachedRethinkDB table built from connection settings
+// Connections are opened on first use, checked while idle, and reopened with exponential backoff once lost. Queries
+// go to the open connection running the fewest, and wait up to acquireTimeout while none is open
+class ConnectionPool {
+  constructor({cachedDb, settings, size, healthCheckInterval, retryDelay, maxRetryDelay, acquireTimeout}) {
+    this.cachedDb = cachedDb;
+    this.settings = settings;
+    this.size = size;
+    this.healthCheckInterval = healthCheckInterval;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.acquireTimeout = acquireTimeout;
+    this.slots = [];
+    this.waiting = [];
+    this.inflight = new Set();
+    this.timer = null;
+    this.closed = false;
+  }
+
+  get isOpen() {
+    return this.slots.some(slot => slot.conn !== null);
+  }
+
+  start() {
+    if (this.slots.length) {
+      return;
+    }
+    for (let index = 0; index < this.size; index += 1) {
+      const slot = new ConnectionSlot(index);
+      this.slots.push(slot);
+      this.connect(slot);
+    }
+    this.timer = setInterval(() => this.healthCheck(), this.healthCheckInterval);
+    this.timer.unref();
+  }
+
+  connect(slot) {
+    const cachedDb = this.cachedDb;
+    return Promise.resolve(r.connect(this.settings)).then((conn) => {
+      if (this.closed) {
+        return conn.close({ noreplyWait: false });
+      }
+      conn.on('close', () => this.disconnected(slot, conn, new errors.DatabaseError('Connection closed', { table: cachedDb.table })));
+      conn.on('error', err => this.disconnected(slot, conn, err));
+      const reconnected = slot.opened(conn);
+      cachedDb.logger.trace({ table: cachedDb.table, connection: slot.index, reconnected }, 'Connected to DB');
+      cachedDb.emit(reconnected ? 'dbReconnected' : 'dbConnected', { table: cachedDb.table, connection: slot.index });
+      const waiting = this.waiting;
+      this.waiting = [];
+      waiting.forEach(waiter => waiter.resolve(slot));
+      return null;
+    }, (err) => {
+      cachedDb.logger.warn({ table: cachedDb.table, err, connection: slot.index, attempt: slot.attempt }, 'Cannot connect to DB');
+      this.retry(slot);
+    });
+  }
+
+  disconnected(slot, conn, err) {
+    const cachedDb = this.cachedDb;
+    if (slot.conn !== conn) {
+      return;
+    }
+    slot.lose();
+    if (this.closed) {
+      return;
+    }
+    cachedDb.logger.error({ table: cachedDb.table, err, connection: slot.index }, 'Lost DB connection');
+    cachedDb.emit('dbDisconnected', err, { table: cachedDb.table, connection: slot.index });
+    this.retry(slot);
+  }
+
+  retry(slot) {
+    if (this.closed || slot.timer) {
+      return;
+    }
+    const retryIn = Math.min(this.retryDelay * Math.pow(2, slot.attempt), this.maxRetryDelay);
+    slot.schedule(() => this.connect(slot), retryIn);
+  }
+
+  // Ping idle connections, a busy one shows it works by answering its queries
+  healthCheck() {
+    this.slots.forEach((slot) => {
+      const conn = slot.conn;
+      if (!conn || slot.active) {
+        return;
+      }
+      Promise.resolve(r.expr(1).run(conn)).timeout(this.acquireTimeout, 'DB health check timed out').catch((err) => {
+        this.disconnected(slot, conn, err);
+        return conn.close({ noreplyWait: false });
+      }).catch(() => null);
+    });
+  }
+
+  acquire() {
+    if (this.closed) {
+      return Promise.reject(new errors.DatabaseError('Connection pool is closed', { table: this.cachedDb.table }));
+    }
+    this.start();
+    const open = this.slots.filter(slot => slot.conn !== null);
+    if (open.length) {
+      return Promise.resolve(open.reduce((least, slot) => (slot.active < least.active ? slot : least)));
+    }
+    let waiter;
+    return new Promise((resolve, reject) => {
+      waiter = { resolve, reject };
+      this.waiting.push(waiter);
+    }).timeout(this.acquireTimeout, 'No DB connection available').catch(Promise.TimeoutError, (err) => {
+      this.waiting = this.waiting.filter(other => other !== waiter);
+      throw err;
+    });
+  }
+
+  // The connection of a cursor, such as a change feed, is not released when the query returns, so it is not counted
+  connection() {
+    return this.acquire().then(slot => slot.conn);
+  }
+
+  run(query) {
+    return this.acquire().then((slot) => {
+      slot.begin();
+      const running = Promise.resolve(query.run(slot.conn)).finally(() => {
+        slot.end();
+        this.inflight.delete(running);
+      });
+      this.inflight.add(running);
+      return running;
+    });
+  }
+
+  // Stop reconnecting, let the queries in flight finish, then close every connection
+  close() {
+    this.closed = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.slots.forEach(slot => clearTimeout(slot.timer));
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach(waiter => waiter.reject(new errors.DatabaseError('Connection pool is closed', { table: this.cachedDb.table })));
+    return Promise.all(Array.from(this.inflight).map(running => running.reflect())).then(() => Promise.all(this.slots.map((slot) => {
+      const conn = slot.release();
+      return conn ? conn.close({ noreplyWait: true }) : null;
+    })));
+  }
+}
+
+module.exports = ConnectionPool;
@@ -0,0 +1,101 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+// Base of every error raised by an operation, with its context and the raw driver or redis error as cause
+class CachedRethinkDBError extends Error {
+  constructor(message, {table, id, reqId, operation, cause} = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.table = table;
+    this.id = id;
+    this.reqId = reqId;
+    this.operation = operation;
+    this.cause = cause;
+  }
+
+  // Fill in the context the code raising the error did not know about, the innermost operation is kept
+  withContext(context) {
+    Object.keys(context).forEach((key) => {
+      if (this[key] === undefined) {
+        this[key] = context[key];
+      }
+    });
+    return this;
+  }
+}
+
+class NotFoundError extends CachedRethinkDBError {}
+
+class InvalidIdentifierError extends CachedRethinkDBError {}
+
+class InvalidArgumentError extends CachedRethinkDBError {}
+
+class DatabaseError extends CachedRethinkDBError {}
+
+// dbResult holds the write result when DB reported errors without rejecting
+class DatabaseWriteError extends DatabaseError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.dbResult = options.dbResult;
+  }
+}
+
+class CacheError extends CachedRethinkDBError {}
+
+// Write conflicting with what is stored, such as a version other than the expected one, entry then holds the current
+// copy from DB
+class ConflictError extends CachedRethinkDBError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.entry = options.entry;
+    this.expectedVersion = options.expectedVersion;
+  }
+}
+
+// Entry did not match the schema option, failures lists each failing path with its message
+class ValidationError extends CachedRethinkDBError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.entry = options.entry;
+    this.failures = options.failures || [];
+  }
+}
+
+// Errors of ours only get the missing context, anything else is wrapped into ErrorClass, or passed on as is without one
+function wrap(err, ErrorClass, context) {
+  if (err instanceof CachedRethinkDBError) {
+    return err.withContext(context);
+  }
+  if (!ErrorClass) {
+    return err;
+  }
+  return new ErrorClass(typeof err === 'string' ? err : err.message, Object.assign({ cause: err }, context));
+}
+
+module.exports = {
+  CachedRethinkDBError,
+  NotFoundError,
+  InvalidIdentifierError,
+  InvalidArgumentError,
+  DatabaseError,
+  DatabaseWriteError,
+  CacheError,
+  ConflictError,
+  ValidationError,
+  wrap,
+};
@@ -0,0 +1,42 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const r = require('rethinkdb');
+
+const hookNames = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete', 'afterRetrieve'];
+
+// Stamp entries with the DB clock, createdAt on create and updatedAt on both create and update
+// An update queued by writeBehind is applied to the cached copy before DB sees it, so it is stamped with the clock of
+// the process instead
+function timestamps({createdAt = 'createdAt', updatedAt = 'updatedAt'} = {}) {
+  return {
+    beforeCreate: ({entry}) => Object.assign({}, entry, { [createdAt]: r.now(), [updatedAt]: r.now() }),
+    beforeUpdate: ({update, writeBehind}) => {
+      const stamp = { [updatedAt]: writeBehind && typeof update !== 'function' ? new Date() : r.now() };
+      if (typeof update === 'function') {
+        return row => r.expr(update(row)).merge(stamp);
+      }
+      return Object.assign({}, update, stamp);
+    },
+  };
+}
+
+module.exports = {
+  hookNames,
+  timestamps,
+};
@@ -0,0 +1,202 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const Immutable = require('seamless-immutable');
+const uuid = require('uuid');
+
+// In-process LRU tier in front of redis for a CachedRethinkDB table, bounded by entry count and by the approximate
+// JSON size of the entries, each kept for ttl milliseconds at most
+// Writes to redis drop the key here and publish it on the channel of the table, so that the other processes drop
+// it too. A message lost while redis is unreachable leaves a stale copy for ttl at most
+// Every invalidation bumps the generation, and the generation each key was last invalidated at is remembered for the
+// maxEntries most recent ones, so that a copy read before an invalidation is not put back once the read settles
+class LocalCache {
+  constructor({cachedDb, maxEntries, maxBytes, ttl, subscriber, ownsSubscriber, channel}) {
+    this.cachedDb = cachedDb;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+    this.subscriber = subscriber;
+    this.ownsSubscriber = ownsSubscriber;
+    this.channel = channel;
+    this.origin = uuid.v4();
+    this.entries = new Map();
+    this.bytes = 0;
+    this.listener = null;
+    this.generation = 0;
+    this.invalidatedAt = new Map();
+    // Keys forgotten from invalidatedAt count as invalidated at this generation
+    this.forgottenAt = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Listen for the invalidations published by other processes
+  subscribe() {
+    const cachedDb = this.cachedDb;
+    if (!this.subscriber || this.listener) {
+      return;
+    }
+    this.listener = (channel, message) => {
+      if (channel !== this.channel) {
+        return;
+      }
+      let invalidation;
+      try {
+        invalidation = JSON.parse(message);
+      } catch (err) {
+        cachedDb.logger.warn({ err, channel, table: cachedDb.table }, 'Ignored malformed invalidation message');
+        return;
+      }
+      if (invalidation.origin === this.origin) {
+        return;
+      }
+      if (invalidation.prefix !== undefined) {
+        this.dropPrefix(invalidation.prefix);
+      } else {
+        (invalidation.keys || []).forEach(key => this.drop(key));
+      }
+    };
+    this.subscriber.on('message', this.listener);
+    this.subscriber.subscribe(this.channel);
+    // An 'error' without listener would crash the process, the one of a subscriber given with the options is left to
+    // whoever created it. Invalidations published while it was down are lost, so the copies held are dropped
+    if (this.ownsSubscriber) {
+      this.subscriber.on('error', (err) => {
+        cachedDb.logger.error({ err, channel: this.channel, table: cachedDb.table }, 'Local cache subscriber failed');
+        cachedDb.countMetric('cachedb_errors_total', { operation: 'localCacheSubscribe', error: err.name || 'Error' });
+        this.dropPrefix('');
+        cachedDb.emit('localCacheError', err, { table: cachedDb.table });
+      });
+    }
+  }
+
+  unsubscribe() {
+    if (!this.listener) {
+      return;
+    }
+    this.subscriber.removeListener('message', this.listener);
+    this.subscriber.unsubscribe(this.channel);
+    this.listener = null;
+  }
+
+  // A subscriber duplicated from the redis client is ours to quit
+  close() {
+    this.unsubscribe();
+    this.entries.clear();
+    this.invalidatedAt.clear();
+    this.bytes = 0;
+    if (this.subscriber && this.ownsSubscriber) {
+      this.subscriber.quit();
+    }
+  }
+
+  get(key) {
+    const cached = this.entries.get(key);
+    if (!cached) {
+      return undefined;
+    }
+    if (cached.expiresAt <= Date.now()) {
+      this.remove(key);
+      return undefined;
+    }
+    // Move it to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, cached);
+    return cached.entry;
+  }
+
+  // Generation to take before reading a key from redis or DB, and to pass to set() with the copy read
+  readGeneration() {
+    return this.generation;
+  }
+
+  // The copy is skipped if the key was invalidated since readGeneration
+  set(key, entry, generation) {
+    const invalidatedAt = this.invalidatedAt.has(key) ? this.invalidatedAt.get(key) : this.forgottenAt;
+    if (invalidatedAt > generation) {
+      return;
+    }
+    const bytes = Buffer.byteLength(JSON.stringify(entry));
+    this.remove(key);
+    if (bytes > this.maxBytes) {
+      return;
+    }
+    this.entries.set(key, { entry: Immutable.from(entry), bytes, expiresAt: Date.now() + this.ttl });
+    this.bytes += bytes;
+    const lru = this.entries.keys();
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.remove(lru.next().value);
+    }
+  }
+
+  remove(key) {
+    const cached = this.entries.get(key);
+    if (cached) {
+      this.entries.delete(key);
+      this.bytes -= cached.bytes;
+    }
+  }
+
+  // Remove a key that was written elsewhere
+  drop(key) {
+    this.generation += 1;
+    this.invalidatedAt.delete(key);
+    this.invalidatedAt.set(key, this.generation);
+    if (this.invalidatedAt.size > this.maxEntries) {
+      const oldest = this.invalidatedAt.keys().next().value;
+      this.forgottenAt = this.invalidatedAt.get(oldest);
+      this.invalidatedAt.delete(oldest);
+    }
+    this.remove(key);
+  }
+
+  // Prefixes are not tracked, every key counts as invalidated
+  dropPrefix(prefix) {
+    this.generation += 1;
+    this.invalidatedAt.clear();
+    this.forgottenAt = this.generation;
+    Array.from(this.entries.keys()).forEach((key) => {
+      if (key.startsWith(prefix)) {
+        this.remove(key);
+      }
+    });
+  }
+
+  // Drop keys written to redis, here and in the other processes
+  invalidate(keys) {
+    keys.forEach(key => this.drop(key));
+    return this.publish({ origin: this.origin, keys });
+  }
+
+  invalidatePrefix(prefix) {
+    this.dropPrefix(prefix);
+    return this.publish({ origin: this.origin, prefix });
+  }
+
+  publish(invalidation) {
+    const cachedDb = this.cachedDb;
+    return cachedDb.redisCall('publish', () => cachedDb.redis.publishAsync(this.channel, JSON.stringify(invalidation))).catch((err) => {
+      cachedDb.logger.warn({ err, channel: this.channel, table: cachedDb.table }, 'Cannot publish cache invalidation');
+    });
+  }
+}
+
+module.exports = LocalCache;
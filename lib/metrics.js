@@ -0,0 +1,122 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+// Upper bounds in seconds of the latency histogram buckets
+const defaultBuckets = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (!names.length) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+// Keeps counters and latency histograms in memory, any object with the same increment and observe methods can be
+// passed as the metrics option instead to forward them elsewhere
+class MemoryCollector {
+  constructor({buckets = defaultBuckets} = {}) {
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+    this.counters = new Map();
+    this.histograms = new Map();
+  }
+
+  increment(name, labels, value = 1) {
+    if (!this.counters.has(name)) {
+      this.counters.set(name, new Map());
+    }
+    const series = this.counters.get(name);
+    const key = labelKey(labels);
+    const counter = series.get(key) || { labels, value: 0 };
+    counter.value += value;
+    series.set(key, counter);
+  }
+
+  observe(name, labels, seconds) {
+    if (!this.histograms.has(name)) {
+      this.histograms.set(name, new Map());
+    }
+    const series = this.histograms.get(name);
+    const key = labelKey(labels);
+    const histogram = series.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, idx) => {
+      if (seconds <= bound) {
+        histogram.counts[idx] += 1;
+      }
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+    series.set(key, histogram);
+  }
+
+  // Current value of a counter, summed over the series matching the given labels
+  counter(name, labels = {}) {
+    const series = this.counters.get(name);
+    if (!series) {
+      return 0;
+    }
+    let value = 0;
+    series.forEach((counter) => {
+      if (Object.keys(labels).every(label => counter.labels[label] === labels[label])) {
+        value += counter.value;
+      }
+    });
+    return value;
+  }
+
+  reset() {
+    this.counters.clear();
+    this.histograms.clear();
+  }
+}
+
+// Render a MemoryCollector in the Prometheus text exposition format
+function toPrometheus(collector) {
+  const lines = [];
+  collector.counters.forEach((series, name) => {
+    lines.push(`# TYPE ${name} counter`);
+    series.forEach((counter) => {
+      lines.push(`${name}${formatLabels(counter.labels)} ${counter.value}`);
+    });
+  });
+  collector.histograms.forEach((series, name) => {
+    lines.push(`# TYPE ${name} histogram`);
+    series.forEach((histogram) => {
+      collector.buckets.forEach((bound, idx) => {
+        lines.push(`${name}_bucket${formatLabels(Object.assign({}, histogram.labels, { le: bound }))} ${histogram.counts[idx]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels(Object.assign({}, histogram.labels, { le: '+Inf' }))} ${histogram.count}`);
+      lines.push(`${name}_sum${formatLabels(histogram.labels)} ${histogram.sum}`);
+      lines.push(`${name}_count${formatLabels(histogram.labels)} ${histogram.count}`);
+    });
+  });
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+module.exports = {
+  MemoryCollector,
+  toPrometheus,
+};
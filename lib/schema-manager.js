@@ -0,0 +1,237 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const Promise = require('bluebird');
+const r = require('rethinkdb');
+
+const errors = require('./errors');
+
+// An index spec is a field, an array of fields for a compound index, or an object with fields or fn, the function
+// building the index value from a row, and the multi and geo flags of indexCreate
+function normalizeIndex(name, spec) {
+  const index = typeof spec === 'string' || Array.isArray(spec) ? { fields: spec } : Object.assign({}, spec);
+  if (typeof index.fn !== 'function' && (index.fields === undefined || ![].concat(index.fields).length)) {
+    throw new errors.InvalidArgumentError(`Index ${name} needs fields or fn`);
+  }
+  if (index.fields !== undefined) {
+    index.fields = [].concat(index.fields);
+  }
+  index.multi = !!index.multi;
+  index.geo = !!index.geo;
+  return index;
+}
+
+function indexCreateQuery(table, name, index) {
+  const options = { multi: index.multi, geo: index.geo };
+  if (index.fn) {
+    return r.table(table).indexCreate(name, index.fn, options);
+  }
+  if (index.fields.length === 1) {
+    return r.table(table).indexCreate(name, r.row(index.fields[0]), options);
+  }
+  return r.table(table).indexCreate(name, index.fields.map(field => r.row(field)), options);
+}
+
+// A claimed migration that has not completed, still running in another process or interrupted by a crash, which
+// only an operator can tell apart
+function runningError(version, {reqId, table}) {
+  return new errors.ConflictError(`Migration ${version} is running or was interrupted`, { table, reqId, operation: 'migrate' });
+}
+
+// Brings the tables and indexes of a CachedRethinkDB table in line with a declarative spec, and runs versioned
+// migrations recorded in the bookkeeping table <table>_migrations
+class SchemaManager {
+  constructor({cachedDb}) {
+    this.cachedDb = cachedDb;
+    this.migrationsTable = `${cachedDb.table}_migrations`;
+  }
+
+  // Compute what is missing or removed, then apply it unless dryRun. Indexes are only dropped when an indexes spec
+  // is given, an index whose definition changed under the same name is left as is
+  ensureSchema({reqId, tables, indexes, dryRun}) {
+    const cachedDb = this.cachedDb;
+    let specs;
+    let diff;
+    return Promise.resolve().then(() => {
+      if (!Array.isArray(tables)) {
+        throw new errors.InvalidArgumentError('Parameter tables must be an array');
+      }
+      if (indexes !== undefined && (!indexes || typeof indexes !== 'object')) {
+        throw new errors.InvalidArgumentError('Parameter indexes must be an object');
+      }
+      specs = new Map();
+      Object.keys(indexes || {}).forEach((name) => {
+        specs.set(name, normalizeIndex(name, indexes[name]));
+      });
+      return cachedDb.dbRun('ensureSchema', r.tableList());
+    }).then((existing) => {
+      const wanted = [{ name: cachedDb.table, primaryKey: cachedDb.uuidField }].concat(tables.map(table => (typeof table === 'string' ? { name: table } : table)));
+      if (cachedDb.audit) {
+        wanted.push({ name: cachedDb.audit.table, audit: true });
+      }
+      diff = {
+        table: cachedDb.table,
+        createTables: wanted.filter(table => existing.indexOf(table.name) < 0),
+        createIndexes: [],
+        dropIndexes: [],
+      };
+      if (existing.indexOf(cachedDb.table) < 0) {
+        return [];
+      }
+      return cachedDb.dbRun('ensureSchema', r.table(cachedDb.table).indexList());
+    }).then((existingIndexes) => {
+      if (indexes !== undefined) {
+        diff.createIndexes = Array.from(specs.keys()).filter(name => existingIndexes.indexOf(name) < 0);
+        diff.dropIndexes = existingIndexes.filter(name => !specs.has(name));
+      }
+      const report = {
+        table: diff.table,
+        createTables: diff.createTables.map(table => table.name),
+        createIndexes: diff.createIndexes,
+        dropIndexes: diff.dropIndexes,
+      };
+      cachedDb.logger.trace(Object.assign({ reqId, dryRun: !!dryRun }, report), 'Schema diff');
+      if (dryRun) {
+        return report;
+      }
+      return Promise.each(diff.createTables, (table) => {
+        if (table.audit) {
+          return cachedDb.audit.createTable({ reqId });
+        }
+        return cachedDb.dbRun('ensureSchema', r.tableCreate(table.name, table.primaryKey ? { primaryKey: table.primaryKey } : {}));
+      }).then(() => Promise.each(diff.createIndexes, name => cachedDb.dbRun('ensureSchema', indexCreateQuery(cachedDb.table, name, specs.get(name)))))
+        .then(() => (diff.createIndexes.length ? cachedDb.dbRun('ensureSchema', r.table(cachedDb.table).indexWait(r.args(diff.createIndexes))) : null))
+        .then(() => Promise.each(diff.dropIndexes, name => cachedDb.dbRun('ensureSchema', r.table(cachedDb.table).indexDrop(name))))
+        .then(() => {
+          // Only plain field indexes can be looked up and invalidated in cache by findByIndex
+          diff.dropIndexes.forEach(name => cachedDb.indexes.delete(name));
+          specs.forEach((index, name) => {
+            if (index.fields && !index.multi && !index.geo) {
+              cachedDb.indexes.set(name, index.fields);
+            }
+          });
+          cachedDb.logger.trace(Object.assign({ reqId }, report), 'Schema ensured');
+          return report;
+        });
+    });
+  }
+
+  // Migrations are { version, name, up(context) }, applied once each in version order. up() runs its queries through
+  // context.run(), which flushes from cache the entries of any change it returns (ask for returnChanges), and can
+  // flush others itself with context.invalidate(ids)
+  // A migration is claimed in the bookkeeping table with status running before it runs, so that two processes do not
+  // both apply it, marked done with appliedAt once it completes, and released again when it fails. migrate() fails on
+  // running migrations rather than skip them, the record of one interrupted by a crash has to be removed by hand
+  migrate({reqId, migrations, dryRun}) {
+    const cachedDb = this.cachedDb;
+    let sorted;
+    return Promise.resolve().then(() => {
+      if (!Array.isArray(migrations)) {
+        throw new errors.InvalidArgumentError('Parameter migrations must be an array');
+      }
+      const versions = new Set();
+      migrations.forEach((migration) => {
+        if (!migration || !Number.isInteger(migration.version) || migration.version < 1 || typeof migration.up !== 'function') {
+          throw new errors.InvalidArgumentError('Each migration needs a positive integer version and an up function');
+        }
+        if (versions.has(migration.version)) {
+          throw new errors.InvalidArgumentError(`Duplicate migration version ${migration.version}`);
+        }
+        versions.add(migration.version);
+      });
+      sorted = migrations.slice().sort((a, b) => a.version - b.version);
+      return cachedDb.dbRun('migrate', r.tableList());
+    }).then((existing) => {
+      if (existing.indexOf(this.migrationsTable) >= 0) {
+        return cachedDb.dbRun('migrate', r.table(this.migrationsTable).pluck('version', 'status').coerceTo('array'));
+      }
+      if (dryRun) {
+        return [];
+      }
+      return cachedDb.dbRun('migrate', r.tableCreate(this.migrationsTable, { primaryKey: 'version' })).then(() => []);
+    }).then((records) => {
+      const running = records.filter(record => record.status === 'running').map(record => record.version).sort((a, b) => a - b);
+      if (running.length) {
+        throw runningError(running[0], { reqId, table: cachedDb.table });
+      }
+      const applied = records.map(record => record.version);
+      const pending = sorted.filter(migration => applied.indexOf(migration.version) < 0);
+      const report = pending.map(migration => ({ version: migration.version, name: migration.name }));
+      cachedDb.logger.trace({ reqId, dryRun: !!dryRun, pending: report, table: cachedDb.table }, 'Pending migrations');
+      if (dryRun) {
+        return report;
+      }
+      const done = [];
+      return Promise.each(pending, migration => this.apply({ reqId, migration }).then((claimed) => {
+        if (claimed) {
+          done.push({ version: migration.version, name: migration.name });
+        }
+      })).then(() => done);
+    });
+  }
+
+  apply({reqId, migration}) {
+    const cachedDb = this.cachedDb;
+    const record = { version: migration.version, table: cachedDb.table, status: 'running', startedAt: r.now() };
+    if (migration.name !== undefined) {
+      record.name = migration.name;
+    }
+    const context = {
+      reqId,
+      r,
+      cachedDb,
+      run: query => cachedDb.dbRun('migrate', query).then((result) => {
+        const changes = result && Array.isArray(result.changes) ? result.changes : [];
+        return this.invalidate({ reqId, entries: changes.map(change => change.new_val || change.old_val).filter(entry => entry) })
+          .then(() => result);
+      }),
+      invalidate: ids => this.invalidate({ reqId, entries: ids }),
+    };
+    const bookkeeping = r.table(this.migrationsTable).get(migration.version);
+    return cachedDb.dbRun('migrate', r.table(this.migrationsTable).insert(record, { conflict: 'error' })).then((dbResult) => {
+      if (dbResult.errors) {
+        // Claimed by another process meanwhile
+        return cachedDb.dbRun('migrate', bookkeeping).then((claimed) => {
+          if (claimed && claimed.status === 'running') {
+            throw runningError(migration.version, { reqId, table: cachedDb.table });
+          }
+          cachedDb.logger.trace({ reqId, version: migration.version, table: cachedDb.table }, 'Migration already applied');
+          return false;
+        });
+      }
+      return Promise.resolve().then(() => migration.up(context)).then(() => cachedDb.dbRun('migrate', bookkeeping.update({ status: 'done', appliedAt: r.now() })).then(() => {
+        cachedDb.logger.trace({ reqId, version: migration.version, name: migration.name, table: cachedDb.table }, 'Applied migration');
+        return true;
+      }), err => cachedDb.dbRun('migrate', bookkeeping.delete()).catch(() => null).then(() => {
+        throw new errors.DatabaseWriteError(`Migration ${migration.version} failed`, { table: cachedDb.table, reqId, operation: 'migrate', cause: err });
+      }));
+    });
+  }
+
+  // Entries or ids, with the index lookups cached for the entries
+  invalidate({reqId, entries}) {
+    const cachedDb = this.cachedDb;
+    if (!entries.length) {
+      return Promise.resolve(0);
+    }
+    return cachedDb.cacheInvalidateIndexes({ reqId, entries }).then(() => cachedDb.cacheInvalidateMany({ reqId, ids: entries }))
+      .then(() => entries.length);
+  }
+}
+
+module.exports = SchemaManager;
@@ -0,0 +1,108 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const zlib = require('zlib');
+const msgpack = require('msgpack-lite');
+
+// Dates are written as { $date: iso } so that they come back as Date, not as string
+function dateReplacer(key, value) {
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+}
+
+function dateReviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1) {
+    return new Date(value.$date);
+  }
+  return value;
+}
+
+const formats = {
+  json: {
+    encode: value => Buffer.from(JSON.stringify(value, dateReplacer)),
+    decode: buffer => JSON.parse(buffer.toString(), dateReviver),
+  },
+  msgpack: {
+    encode: value => msgpack.encode(value),
+    decode: buffer => msgpack.decode(buffer),
+  },
+};
+
+const compressions = {
+  gzip: {
+    compress: buffer => zlib.gzipSync(buffer),
+    decompress: buffer => zlib.gunzipSync(buffer),
+  },
+  brotli: {
+    compress: buffer => zlib.brotliCompressSync(buffer),
+    decompress: buffer => zlib.brotliDecompressSync(buffer),
+  },
+};
+
+// Every cached value starts with #format[+compression]: so values written by another codec can still be read,
+// binary payloads are base64 encoded as the redis client hands back strings
+class Serializer {
+  constructor({format = 'json', compression, threshold = 1024} = {}) {
+    if (!formats[format]) {
+      throw new Error(`Unknown serializer format ${format}`);
+    }
+    if (compression !== undefined && !compressions[compression]) {
+      throw new Error(`Unknown serializer compression ${compression}`);
+    }
+    if (compression === 'brotli' && !zlib.brotliCompressSync) {
+      throw new Error('brotli compression is not supported by this node version');
+    }
+    if (typeof threshold !== 'number' || threshold < 0) {
+      throw new Error('serializer threshold must be a non-negative number');
+    }
+    this.format = format;
+    this.compression = compression;
+    this.threshold = threshold;
+  }
+
+  serialize(value) {
+    const payload = formats[this.format].encode(value);
+    if (this.compression && payload.length >= this.threshold) {
+      return `#${this.format}+${this.compression}:${compressions[this.compression].compress(payload).toString('base64')}`;
+    }
+    if (this.format === 'json') {
+      return `#json:${payload.toString()}`;
+    }
+    return `#${this.format}:${payload.toString('base64')}`;
+  }
+
+  deserialize(serialized) {
+    // Values cached before the format marker was introduced are plain JSON
+    if (serialized[0] !== '#') {
+      return JSON.parse(serialized);
+    }
+    const separator = serialized.indexOf(':');
+    const marker = serialized.slice(1, separator).split('+');
+    const format = formats[marker[0]];
+    const compression = marker[1] && compressions[marker[1]];
+    if (separator < 0 || !format || (marker[1] && !compression)) {
+      throw new Error(`Unknown cache format ${serialized.slice(0, Math.max(separator, 0))}`);
+    }
+    const body = serialized.slice(separator + 1);
+    if (compression) {
+      return format.decode(compression.decompress(Buffer.from(body, 'base64')));
+    }
+    return format.decode(marker[0] === 'json' ? Buffer.from(body) : Buffer.from(body, 'base64'));
+  }
+}
+
+module.exports = Serializer;
@@ -0,0 +1,199 @@
+/*
+  Copyright 2016 Ananse Limited
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const Promise = require('bluebird');
+const Immutable = require('seamless-immutable');
+
+const errors = require('./errors');
+
+// Later patches win, nested objects are merged the same way RethinkDB update() merges them
+function mergePatch(patch, newerPatch) {
+  return Immutable.from(patch).merge(newerPatch, { deep: true });
+}
+
+// Holds pending updates of a CachedRethinkDB table, coalesced per entry, until they are flushed to DB
+class WriteBehindQueue {
+  constructor({cachedDb, interval, maxPending, maxRetries, concurrency}) {
+    this.cachedDb = cachedDb;
+    this.interval = interval;
+    this.maxPending = maxPending;
+    this.maxRetries = maxRetries;
+    this.concurrency = concurrency;
+    this.pending = new Map();
+    this.updating = new Map();
+    this.timer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+
+  patchFor(uid) {
+    const queued = this.pending.get(uid);
+    return queued ? queued.patch : undefined;
+  }
+
+  // The actor of the latest patch is the one recorded for the coalesced write
+  push({reqId, uid, id, patch, actor}) {
+    const queued = this.pending.get(uid);
+    this.pending.set(uid, {
+      id,
+      patch: queued ? mergePatch(queued.patch, patch) : patch,
+      actor,
+      attempts: queued ? queued.attempts : 0,
+    });
+    this.schedule();
+    if (this.pending.size >= this.maxPending) {
+      this.flush({ reqId }).catch(() => null);
+    }
+  }
+
+  // Run read-modify-write of the same entry one at a time
+  serialize(uid, fn) {
+    const previous = this.updating.get(uid) || Promise.resolve();
+    const current = previous.then(fn);
+    const done = current.catch(() => null).then(() => {
+      if (this.updating.get(uid) === done) {
+        this.updating.delete(uid);
+      }
+    });
+    this.updating.set(uid, done);
+    return current;
+  }
+
+  discard(uid) {
+    this.pending.delete(uid);
+  }
+
+  schedule() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.flush({ }).catch(() => null);
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  // Flushes run one after another so that patches of the same entry reach DB in order
+  flush({reqId, uids} = {}) {
+    const flushing = this.flushing.then(() => this.flushBatch({ reqId, uids }));
+    this.flushing = flushing.catch(() => null);
+    return flushing;
+  }
+
+  flushBatch({reqId, uids}) {
+    const cachedDb = this.cachedDb;
+    const batch = [];
+    (uids || Array.from(this.pending.keys())).forEach((uid) => {
+      const queued = this.pending.get(uid);
+      if (queued) {
+        batch.push(Object.assign({ uid }, queued));
+        this.pending.delete(uid);
+      }
+    });
+    if (!this.pending.size) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (!batch.length) {
+      return Promise.resolve(0);
+    }
+
+    const failures = [];
+    return Promise.map(batch, queued => cachedDb.dbUpdate({ reqId, id: queued.id, updateObjOrFn: queued.patch, actor: queued.actor }).catch((err) => {
+      const attempts = queued.attempts + 1;
+      failures.push({ id: queued.id, uid: queued.uid, err });
+      // A patch failing the schema or targeting a deleted entry would fail again, no point retrying it
+      if (attempts > this.maxRetries || err instanceof errors.ValidationError || err instanceof errors.NotFoundError) {
+        cachedDb.logger.error({
+          reqId,
+          err,
+          id: queued.id,
+          patch: queued.patch,
+          attempts,
+          table: cachedDb.table,
+        }, 'Dropped pending write after retries');
+        cachedDb.emit('writeBehindDropped', err, { id: queued.id, patch: queued.patch, attempts });
+        return this.invalidate({ reqId, id: queued.id });
+      }
+      // Put the failed patch back underneath whatever was queued since
+      const newer = this.pending.get(queued.uid);
+      this.pending.set(queued.uid, {
+        id: queued.id,
+        patch: newer ? mergePatch(queued.patch, newer.patch) : queued.patch,
+        actor: newer ? newer.actor : queued.actor,
+        attempts,
+      });
+      this.schedule();
+      cachedDb.logger.warn({
+        reqId,
+        err,
+        id: queued.id,
+        attempts,
+        table: cachedDb.table,
+      }, 'Cannot flush pending write');
+      cachedDb.emit('writeBehindError', err, { id: queued.id, attempts });
+      return null;
+    }), { concurrency: this.concurrency }).then(() => {
+      cachedDb.logger.trace({
+        reqId,
+        count: batch.length,
+        failed: failures.length,
+        table: cachedDb.table,
+      }, 'Flushed pending writes');
+      if (failures.length) {
+        const err = new errors.DatabaseWriteError('Error occurred during flush pending writes', {
+          table: cachedDb.table,
+          reqId,
+          operation: 'flush',
+        });
+        err.failures = failures;
+        throw err;
+      }
+      return batch.length;
+    });
+  }
+
+  // The cached copy of an entry holds the patches of a dropped write, drop it and the index lookups it is part of so
+  // that the next read loads what DB holds
+  invalidate({reqId, id}) {
+    const cachedDb = this.cachedDb;
+    return cachedDb.cacheFetch({ reqId, id })
+      .then(entry => cachedDb.cacheInvalidateIndexes({ reqId, entries: [entry && typeof entry === 'object' ? entry : null] }))
+      .then(() => cachedDb.cacheInvalidate({ reqId, id }))
+      .catch((err) => {
+        cachedDb.logger.error({
+          reqId,
+          err,
+          id,
+          table: cachedDb.table,
+        }, 'Cannot invalidate entry of dropped write');
+      });
+  }
+
+  close({reqId} = {}) {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.flush({ reqId });
+  }
+}
+
+module.exports = WriteBehindQueue;
+module.exports.mergePatch = mergePatch;
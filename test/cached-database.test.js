@@ -138,6 +138,7 @@ describe('Cached RethinkDB', () => {
   let cachedDbCustom;
   let newEntry;
   let newId;
+  let listIds;
 
   before(() => new Promise((resolve, reject) => {
     const client = redis.createClient(redisOpts);
@@ -327,6 +328,12 @@ describe('Cached RethinkDB', () => {
       expect(err).to.be.instanceof(r.Error.ReqlOpFailedError);
     }));
 
+  it('should be able to create simple index for lookup properly', () => cachedDb.dbCreateSimpleIndex({ field: 'foo' })
+    .then((indexField) => {
+      expect(indexField).to.equal('foo');
+      expect(cachedDb.indexes.get('foo')).to.deep.equal(['foo']);
+    }));
+
   it('should be able to create compound index properly', () => cachedDb.dbCreateCompoundIndex({ name: 'cIndex', fields: [testTableCustomUUID, verificationField] })
     .then((indexField) => {
       expect(indexField).to.equal('cIndex');
@@ -354,8 +361,32 @@ describe('Cached RethinkDB', () => {
     expect(err).to.have.deep.property('message', 'redis key cannot be undefined or null');
   }));
 
+  it('should fail to cache into redis with invalid ttl', () => cachedDb.cacheSet({ entry: stdEntry, ttl: '60' }).then((entry) => {
+    expect(entry).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(Error);
+    expect(err).to.have.deep.property('message', 'ttl must be a positive integer');
+  }));
+
+  it('should fail to cache into redis with fractional ttl', () => cachedDb.cacheSet({ entry: stdEntry, ttl: 1.5 }).then((entry) => {
+    expect(entry).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(CachedRethinkDB.InvalidArgumentError);
+    expect(err).to.have.deep.property('message', 'ttl must be a positive integer');
+  }));
+
+  it('should be able to cache into redis with custom ttl', () => cachedDb.cacheSet({ entry: stdEntry, ttl: 60 }).then((entry) => {
+    expect(entry).to.equal(stdEntry);
+    return redisClient.ttlAsync(`${testTable}:${stdEntry.uuid}`);
+  }).then((ttl) => {
+    expect(ttl).to.be.within(1, 60);
+  }));
+
   it('should be able to cache into redis with uuid', () => cachedDb.cacheSet({ entry: stdEntry }).then((entry) => {
     expect(entry).to.equal(stdEntry);
+    return redisClient.ttlAsync(`${testTable}:${stdEntry.uuid}`);
+  }).then((ttl) => {
+    expect(ttl).to.be.within(61, 7200);
   }));
 
   it('should be able to cache into redis with custom UUID field', () => cachedDbCustom.cacheSet({ entry: custEntry }).then((entry) => {
@@ -481,11 +512,13 @@ describe('Cached RethinkDB', () => {
   }));
 
   // dbUpdate
-  it('should fail to update db entry without uuid', () => cachedDb.dbUpdate({ id: { } }).then((changes) => {
+  it('should fail to update db entry without uuid', () => cachedDb.dbUpdate({ reqId: 'req-1', id: { } }).then((changes) => {
     expect(changes).to.not.exist;
   }).catch((err) => {
-    expect(err).to.be.instanceof(Error);
+    expect(err).to.be.instanceof(CachedRethinkDB.InvalidIdentifierError);
     expect(err).to.have.deep.property('message', 'uuid cannot be undefined or null');
+    expect(err).to.have.property('reqId', 'req-1');
+    expect(err).to.have.property('operation', 'dbUpdate');
   }));
 
   it('should fail to update db entry without update function or update object', () => cachedDb.dbUpdate({ id: stdId }).then((changes) => {
@@ -497,9 +530,12 @@ describe('Cached RethinkDB', () => {
 
   it('should fail to update db entry with inexist uuid', () => cachedDb.dbUpdate({ id: stdInexistId, updateObjOrFn: { } }).then((id) => {
     expect(id).to.not.exist;
-  }).catch((err) => {
-    expect(err).to.be.instanceof(Error);
-    expect(err.message.endsWith('to not exist')).to.be.true;
+  }, (err) => {
+    expect(err).to.be.instanceof(CachedRethinkDB.NotFoundError);
+    expect(err).to.have.property('message', 'Entry does not exist');
+    expect(err).to.have.property('table', testTable);
+    expect(err).to.have.property('id', stdInexistId);
+    expect(err).to.have.property('operation', 'dbUpdate');
   }));
 
   it('should be able to update db entry with proper update function', () => cachedDb.dbUpdate({
@@ -605,6 +641,133 @@ describe('Cached RethinkDB', () => {
     expect(entry).to.deep.equal(newEntry);
   }));
 
+  // retrieveMany
+  it('should fail to retrieve entries via CRUD operation without ids array', () => cachedDb.retrieveMany({ ids: newId }).then((entries) => {
+    expect(entries).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(Error);
+    expect(err).to.have.deep.property('message', 'Parameter ids must be an array');
+  }));
+
+  it('should be able to retrieve empty list via CRUD operation with empty ids', () => cachedDb.retrieveMany({ ids: [] }).then((entries) => {
+    expect(entries).to.deep.equal([]);
+  }));
+
+  it('should be able to retrieve entries in order via CRUD operation properly', () => cachedDb.retrieveMany({ ids: [stdInexistId, newId] }).then((entries) => {
+    expect(entries).to.deep.equal([null, newEntry]);
+  }));
+
+  it('should be able to retrieve entries via CRUD operation properly with cache removed', () => cachedDb.cacheInvalidate({ id: newId }).then(() => cachedDb.retrieveMany({ ids: [newId, stdInexistId, newId] })).then((entries) => {
+    expect(entries).to.deep.equal([newEntry, null, newEntry]);
+    return cachedDb.cacheFetch({ id: newId });
+  }).then((entry) => {
+    expect(entry).to.deep.equal(newEntry);
+  }));
+
+  // stampede protection
+  it('should coalesce concurrent cache misses via CRUD operation', () => {
+    const coalesced = cachedDb.stats.coalesced;
+    return cachedDb.cacheInvalidate({ id: newId }).then(() => Promise.all([
+      cachedDb.retrieve({ id: newId }),
+      cachedDb.retrieve({ id: newId }),
+      cachedDb.retrieve({ id: newId }),
+    ])).then((entries) => {
+      expect(entries).to.deep.equal([newEntry, newEntry, newEntry]);
+      expect(cachedDb.stats.coalesced - coalesced).to.equal(2);
+      expect(cachedDb.inflightLoads.size).to.equal(0);
+    });
+  });
+
+  it('should fail to construct with invalid loadLock', () => {
+    try {
+      const cachedDbLocked = new CachedRethinkDB({
+        redis: redisClient,
+        rethinkdb: rethinkdbConnection,
+        table: testTable,
+        logger,
+        loadLock: 'yes',
+      });
+      expect(cachedDbLocked).to.not.exist;
+    } catch (err) {
+      expect(err).to.be.instanceof(Error);
+      expect(err).to.have.deep.property('message', 'loadLock must be a boolean or an object');
+    }
+  });
+
+  it('should load only once across instances with loadLock', () => {
+    const instances = [0, 1].map(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      loadLock: { retryDelay: 10 },
+    }));
+    return cachedDb.cacheInvalidate({ id: newId }).then(() => Promise.all(instances.map(instance => instance.retrieve({ id: newId }))))
+      .then((entries) => {
+        expect(entries).to.deep.equal([newEntry, newEntry]);
+        expect(instances[0].stats.lockWaits + instances[1].stats.lockWaits).to.equal(1);
+        return redisClient.existsAsync(`${testTable}:lock:${newId.uuid}`);
+      }).then((locked) => {
+        expect(locked).to.equal(0);
+      });
+  });
+
+  // negative caching
+  it('should fail to construct with invalid negativeTTL', () => {
+    try {
+      const cachedDbNegative = new CachedRethinkDB({
+        redis: redisClient,
+        rethinkdb: rethinkdbConnection,
+        table: testTable,
+        logger,
+        negativeTTL: '30',
+      });
+      expect(cachedDbNegative).to.not.exist;
+    } catch (err) {
+      expect(err).to.be.instanceof(Error);
+      expect(err).to.have.deep.property('message', 'negativeTTL must be a positive integer');
+    }
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      negativeTTL: 0.5,
+    })).to.throw('negativeTTL must be a positive integer');
+  });
+
+  it('should be able to cache tombstone for inexisting uuid with negativeTTL', () => {
+    const cachedDbNegative = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      negativeTTL: 30,
+    });
+    return cachedDbNegative.retrieve({ id: stdInexistId }).then((entry) => {
+      expect(entry).to.be.null;
+      return cachedDbNegative.cacheFetch({ id: stdInexistId });
+    }).then((entry) => {
+      expect(entry).to.equal(CachedRethinkDB.TOMBSTONE);
+      return redisClient.ttlAsync(`${testTable}:${stdInexistId.uuid}`);
+    }).then((ttl) => {
+      expect(ttl).to.be.within(1, 30);
+      return Promise.all([
+        cachedDbNegative.retrieve({ id: stdInexistId }),
+        cachedDbNegative.retrieveMany({ ids: [stdInexistId] }),
+      ]);
+    }).then((results) => {
+      expect(results).to.deep.equal([null, [null]]);
+      expect(cachedDbNegative.stats.negativeHits).to.equal(2);
+      return cachedDbNegative.cacheSet({ entry: Object.assign({ }, stdEntry, stdInexistId) });
+    }).then(() => cachedDbNegative.cacheTombstone({ id: stdInexistId }))
+      .then(() => cachedDbNegative.cacheFetch({ id: stdInexistId }))
+      .then((entry) => {
+        expect(entry).to.have.deep.property('uuid', stdInexistId.uuid);
+        return cachedDbNegative.cacheInvalidate({ id: stdInexistId });
+      });
+  });
+
   // update
   it('should fail to update entry via CRUD operation properly without uuid', () => cachedDb.update({ id: {} }).then((entry) => {
     expect(entry).to.not.exist;
@@ -629,6 +792,1583 @@ describe('Cached RethinkDB', () => {
     expect(entry).to.deep.equal(newEntry);
   }));
 
+  it('should be able to tell unchanged update via CRUD operation', () => cachedDb.update({
+    id: newId,
+    updateObjOrFn: { nested: { custom: 'world' } },
+    returnChanged: true,
+  }).then((result) => {
+    expect(result).to.have.property('changed', false);
+    expect(result.entry).to.deep.equal(newEntry);
+  }));
+
+  // findByIndex
+  it('should fail to find entries via CRUD operation with unregistered index', () => cachedDb.findByIndex({ index: 'bar', value: 'foo' }).then((entries) => {
+    expect(entries).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(Error);
+    expect(err).to.have.deep.property('message', 'Index bar is not registered');
+  }));
+
+  it('should be able to find entries via CRUD operation properly', () => cachedDb.findByIndex({ index: 'foo', value: 'bar' }).then((entries) => {
+    expect(entries).to.deep.equal([newEntry]);
+    return redisClient.getAsync(`${testTable}:index:foo:"bar"`);
+  }).then((ids) => {
+    expect(JSON.parse(ids)).to.deep.equal([newId]);
+    return cachedDb.findOne({ index: 'foo', value: 'bar' });
+  }).then((entry) => {
+    expect(entry).to.deep.equal(newEntry);
+  }));
+
+  it('should be able to find null via CRUD operation with inexisting value', () => cachedDb.findOne({ index: 'foo', value: 'nothing' }).then((entry) => {
+    expect(entry).to.be.null;
+  }));
+
+  it('should invalidate index cache when entry is updated via CRUD operation', () => cachedDb.findByIndex({ index: 'foo', value: 'baz' }).then((entries) => {
+    expect(entries).to.deep.equal([]);
+    return cachedDb.update({ id: newId, updateObjOrFn: { foo: 'baz' } });
+  }).then(() => Promise.all([
+    cachedDb.findByIndex({ index: 'foo', value: 'bar' }),
+    cachedDb.findByIndex({ index: 'foo', value: 'baz' }),
+  ])).then((results) => {
+    newEntry.foo = 'baz';
+    expect(results).to.deep.equal([[], [newEntry]]);
+  }));
+
+  // list
+  it('should be able to create entries for listing via CRUD operation', () => Promise.map([0, 1, 2], () => cachedDb.create({ entry: { foo: 'list' } }))
+    .then((entries) => {
+      listIds = entries.map(entry => entry.uuid).sort();
+    }));
+
+  it('should fail to list entries with invalid limit', () => cachedDb.list({ limit: 0 }).then((page) => {
+    expect(page).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(Error);
+    expect(err).to.have.deep.property('message', 'Parameter limit must be a positive integer');
+  }));
+
+  it('should fail to list entries with invalid cursor', () => cachedDb.list({ after: 'garbage' }).then((page) => {
+    expect(page).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(Error);
+    expect(err).to.have.deep.property('message', 'Invalid cursor');
+  }));
+
+  it('should be able to page through entries by primary key', () => cachedDb.list({ filter: { foo: 'list' }, limit: 2 }).then((page) => {
+    expect(page.entries.map(entry => entry.uuid)).to.deep.equal(listIds.slice(0, 2));
+    expect(page.next).to.be.a('string');
+    return cachedDb.list({ filter: { foo: 'list' }, limit: 2, after: page.next });
+  }).then((page) => {
+    expect(page.entries.map(entry => entry.uuid)).to.deep.equal(listIds.slice(2));
+    expect(page.next).to.be.null;
+  }));
+
+  it('should be able to page through entries in descending order', () => cachedDb.list({ filter: { foo: 'list' }, orderBy: 'desc', limit: 2 }).then((page) => {
+    expect(page.entries.map(entry => entry.uuid)).to.deep.equal(listIds.slice(1).reverse());
+    return cachedDb.list({ filter: { foo: 'list' }, orderBy: 'desc', limit: 2, after: page.next });
+  }).then((page) => {
+    expect(page.entries.map(entry => entry.uuid)).to.deep.equal(listIds.slice(0, 1));
+    expect(page.next).to.be.null;
+  }));
+
+  it('should be able to page through entries by index with equal values', () => cachedDb.list({ index: 'foo', limit: 2 }).then((page) => {
+    expect(page.entries.map(entry => entry.uuid)).to.deep.equal([newId.uuid, listIds[0]]);
+    return cachedDb.list({ index: 'foo', limit: 2, after: page.next });
+  }).then((page) => {
+    expect(page.entries.map(entry => entry.uuid)).to.deep.equal(listIds.slice(1));
+    expect(page.next).to.be.null;
+  }));
+
+  it('should be able to delete listed entries via CRUD operation', () => Promise.map(listIds, uuid => cachedDb.delete({ id: { uuid } })));
+
+  // versioning
+  it('should reject conflicting update with versionField', () => {
+    const cachedDbVersioned = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      versionField: 'version',
+    });
+    let versionedId;
+    return cachedDbVersioned.create({ entry: { foo: 'versioned' } }).then((entry) => {
+      expect(entry).to.have.property('version', 1);
+      versionedId = { uuid: entry.uuid };
+      return cachedDbVersioned.update({ id: versionedId, updateObjOrFn: { foo: 'first' }, expectedVersion: 1 });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'first');
+      expect(entry).to.have.property('version', 2);
+      return cachedDbVersioned.update({ id: versionedId, updateObjOrFn: { foo: 'first' }, returnChanged: true });
+    }).then((result) => {
+      expect(result).to.have.property('changed', false);
+      expect(result).to.have.deep.property('entry.version', 2);
+      return cachedDbVersioned.update({ id: versionedId, updateObjOrFn: { foo: 'second' }, expectedVersion: 1 });
+    }).then((entry) => {
+      expect(entry).to.not.exist;
+    }, (err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.ConflictError);
+      expect(err).to.have.property('expectedVersion', 1);
+      expect(err).to.have.deep.property('entry.version', 2);
+      expect(err).to.have.deep.property('entry.foo', 'first');
+      return cachedDbVersioned.update({ id: versionedId, updateObjOrFn: { foo: 'third' } });
+    }).then((entry) => {
+      expect(entry).to.have.property('version', 3);
+      return cachedDbVersioned.delete({ id: versionedId });
+    });
+  });
+
+  // soft delete
+  it('should be able to soft-delete, restore and purge entry with softDelete', () => {
+    const cachedDbSoft = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      softDelete: true,
+    });
+    let softEntry;
+    let softId;
+    return cachedDbSoft.create({ entry: { foo: 'soft' } }).then((entry) => {
+      softEntry = entry;
+      softId = { uuid: entry.uuid };
+      return cachedDbSoft.delete({ id: softId, actor: 'tester' });
+    }).then((id) => {
+      expect(id).to.equal(softId);
+      return Promise.all([
+        cachedDbSoft.retrieve({ id: softId }),
+        cachedDbSoft.dbRetrieve({ id: softId }),
+        r.table(testTable).get(softId.uuid).run(rethinkdbConnection),
+      ]);
+    }).then((results) => {
+      expect(results[0]).to.be.null;
+      expect(results[1]).to.be.null;
+      expect(results[2]).to.have.property('deletedAt').that.is.instanceof(Date);
+      expect(results[2]).to.have.property('deletedBy', 'tester');
+      return cachedDbSoft.restore({ id: softId });
+    }).then((entry) => {
+      expect(entry).to.deep.equal(softEntry);
+      return cachedDbSoft.purge({ id: softId });
+    }).then(() => Promise.all([
+      cachedDbSoft.retrieve({ id: softId }),
+      r.table(testTable).get(softId.uuid).run(rethinkdbConnection),
+    ])).then((results) => {
+      expect(results).to.deep.equal([null, null]);
+    });
+  });
+
+  // serializer
+  it('should fail to construct with invalid serializer', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      serializer: 'yaml',
+    })).to.throw('Unknown serializer format yaml');
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      serializer: { format: 'json', compression: 'lzma' },
+    })).to.throw('Unknown serializer compression lzma');
+  });
+
+  it('should keep dates and read values written by other serializers', () => {
+    const cachedDbPacked = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      serializer: { format: 'msgpack', compression: 'gzip', threshold: 0 },
+    });
+    const at = new Date('2016-08-01T00:00:00.000Z');
+    let datedId;
+    return cachedDb.create({ entry: { foo: 'dated', at } }).then((entry) => {
+      datedId = { uuid: entry.uuid };
+      return cachedDb.retrieve({ id: datedId });
+    }).then((entry) => {
+      expect(entry.at).to.be.instanceof(Date);
+      expect(entry.at.getTime()).to.equal(at.getTime());
+      return cachedDbPacked.retrieve({ id: datedId });
+    }).then((entry) => {
+      expect(entry.at).to.be.instanceof(Date);
+      return cachedDbPacked.cacheSet({ entry });
+    }).then(() => redisClient.getAsync(`${testTable}:${datedId.uuid}`)).then((cached) => {
+      expect(cached.indexOf('#msgpack+gzip:')).to.equal(0);
+      return cachedDb.retrieve({ id: datedId });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'dated');
+      expect(entry.at.getTime()).to.equal(at.getTime());
+      return redisClient.setAsync(`${testTable}:${datedId.uuid}`, JSON.stringify({ uuid: datedId.uuid, foo: 'legacy' }));
+    }).then(() => cachedDbPacked.retrieve({ id: datedId })).then((entry) => {
+      expect(entry).to.have.property('foo', 'legacy');
+      return cachedDb.purge({ id: datedId });
+    });
+  });
+
+  // schema
+  it('should fail to construct with invalid schema', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      schema: 'object',
+    })).to.throw('schema must be a function or an object');
+  });
+
+  it('should reject entries failing JSON schema on create and roll back updates', () => {
+    const cachedDbSchema = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      schema: {
+        type: 'object',
+        required: ['foo'],
+        properties: {
+          foo: { type: 'string' },
+          nested: { type: 'object', properties: { count: { type: 'number' } } },
+        },
+      },
+    });
+    let schemaId;
+    return cachedDbSchema.create({ entry: { nested: { count: 'one' } } }).then((entry) => {
+      expect(entry).to.not.exist;
+    }, (err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.ValidationError);
+      expect(err.failures.map(failure => failure.path)).to.deep.equal(['foo', 'nested.count']);
+      return cachedDbSchema.create({ entry: { foo: 'schema' } });
+    }).then((entry) => {
+      schemaId = { uuid: entry.uuid };
+      return cachedDbSchema.update({ id: schemaId, updateObjOrFn: row => ({ foo: row('foo').count() }) });
+    }).then((result) => {
+      expect(result).to.not.exist;
+    }, (err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.ValidationError);
+      expect(err).to.have.deep.property('entry.foo', 6);
+      return Promise.all([
+        cachedDbSchema.retrieve({ id: schemaId }),
+        cachedDbSchema.dbRetrieve({ id: schemaId }),
+      ]);
+    }).then((entries) => {
+      expect(entries[0]).to.have.property('foo', 'schema');
+      expect(entries[1]).to.have.property('foo', 'schema');
+      return cachedDbSchema.cacheSet({ entry: { uuid: schemaId.uuid, foo: 1 } });
+    }).then((entry) => {
+      expect(entry).to.not.exist;
+    }, (err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.ValidationError);
+      return cachedDbSchema.purge({ id: schemaId });
+    });
+  });
+
+  it('should reject object updates failing schema before writing and still read invalid rows', () => {
+    const cachedDbSchema = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      schema: entry => (typeof entry.foo === 'string' ? true : [{ path: 'foo', message: 'should be string' }]),
+    });
+    const changes = [];
+    let schemaId;
+    let feed;
+    return r.table(testTable).changes().run(rethinkdbConnection).then((cursor) => {
+      feed = cursor;
+      feed.each((err, change) => {
+        if (!err) {
+          changes.push(change);
+        }
+      });
+      return cachedDbSchema.create({ entry: { foo: 'schema' } });
+    }).then((entry) => {
+      schemaId = { uuid: entry.uuid };
+      return cachedDbSchema.update({ id: schemaId, updateObjOrFn: { foo: 1 } });
+    }).then((result) => {
+      expect(result).to.not.exist;
+    }, (err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.ValidationError);
+      expect(err).to.have.deep.property('entry.foo', 1);
+      return Promise.delay(50);
+    }).then(() => {
+      expect(changes).to.have.length(1);
+      return r.table(testTable).get(schemaId.uuid).update({ foo: 2 }).run(rethinkdbConnection);
+    }).then(() => cachedDbSchema.cacheInvalidate({ id: schemaId }))
+      .then(() => cachedDbSchema.retrieve({ id: schemaId }))
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 2);
+        return redisClient.getAsync(`${testTable}:${schemaId.uuid}`);
+      })
+      .then((cached) => {
+        expect(cached).to.equal(null);
+        return cachedDbSchema.purge({ id: schemaId });
+      })
+      .finally(() => feed && feed.close());
+  });
+
+  it('should report per-item failures of validation function in bulk', () => {
+    const cachedDbSchema = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      schema: entry => (typeof entry.foo === 'string' ? true : [{ path: 'foo', message: 'should be string' }]),
+    });
+    return cachedDbSchema.createMany({ entries: [{ foo: 'valid' }, { foo: 2 }] }).then((results) => {
+      expect(results[0]).to.have.property('ok', true);
+      expect(results[1]).to.have.property('ok', false);
+      expect(results[1].error).to.be.instanceof(CachedRethinkDB.ValidationError);
+      expect(results[1]).to.have.deep.property('error.failures').that.deep.equals([{ path: 'foo', message: 'should be string' }]);
+      return cachedDbSchema.deleteMany({ ids: [{ uuid: results[0].entry.uuid }] });
+    });
+  });
+
+  // errors
+  it('should wrap redis failures into CacheError', () => {
+    const cause = new Error('connection lost');
+    const cachedDbBroken = new CachedRethinkDB({
+      redis: { getAsync: () => Promise.reject(cause) },
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+    });
+    return cachedDbBroken.cacheFetch({ reqId: 'req-2', id: newId }).then((entry) => {
+      expect(entry).to.not.exist;
+    }, (err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.CacheError);
+      expect(err).to.be.instanceof(CachedRethinkDB.CachedRethinkDBError);
+      expect(err).to.have.property('message', 'connection lost');
+      expect(err).to.have.property('cause', cause);
+      expect(err).to.have.property('table', testTable);
+      expect(err).to.have.property('id', newId);
+      expect(err).to.have.property('reqId', 'req-2');
+      expect(err).to.have.property('operation', 'cacheFetch');
+    });
+  });
+
+  // fail open
+  it('should fail to construct with invalid failOpen', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      failOpen: 'yes',
+    })).to.throw('failOpen must be a boolean or an object');
+  });
+
+  it('should serve from DB while redis is down and replay invalidations once it recovers', () => {
+    const flakyRedis = { down: false };
+    ['getAsync', 'setAsync', 'mgetAsync', 'delAsync', 'existsAsync', 'evalAsync', 'pingAsync'].forEach((command) => {
+      flakyRedis[command] = (...args) => (flakyRedis.down ? Promise.reject(new Error('connection lost')) : redisClient[command](...args));
+    });
+    const cachedDbFailOpen = new CachedRethinkDB({
+      redis: flakyRedis,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      failOpen: { threshold: 2, resetTimeout: 50 },
+    });
+    const events = [];
+    cachedDbFailOpen.on('cacheUnavailable', () => events.push('cacheUnavailable'));
+    cachedDbFailOpen.on('cacheRecovered', () => events.push('cacheRecovered'));
+    let blipId;
+    return cachedDbFailOpen.create({ entry: { foo: 'blip' } }).then((entry) => {
+      blipId = { uuid: entry.uuid };
+      flakyRedis.down = true;
+      return cachedDbFailOpen.update({ id: blipId, updateObjOrFn: { foo: 'blipped' } });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'blipped');
+      return cachedDbFailOpen.retrieve({ id: blipId });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'blipped');
+      expect(cachedDbFailOpen.breaker.isOpen).to.be.true;
+      expect(events).to.deep.equal(['cacheUnavailable']);
+      return redisClient.getAsync(`${testTable}:${blipId.uuid}`);
+    }).then((cached) => {
+      // The stale copy is still in redis until the invalidation is replayed
+      expect(cached).to.contain('"blip"');
+      flakyRedis.down = false;
+      return Promise.delay(60);
+    }).then(() => cachedDbFailOpen.retrieve({ id: blipId })).then((entry) => {
+      expect(entry).to.have.property('foo', 'blipped');
+      expect(cachedDbFailOpen.breaker.isOpen).to.be.false;
+      expect(events).to.deep.equal(['cacheUnavailable', 'cacheRecovered']);
+      return cachedDbFailOpen.purge({ id: blipId });
+    });
+  });
+
+  // metrics
+  it('should fail to construct with invalid metrics', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      metrics: { increment: () => null },
+    })).to.throw('metrics must be an object with increment and observe functions');
+  });
+
+  it('should collect cache and latency metrics and export them for Prometheus', () => {
+    const collector = new CachedRethinkDB.MemoryCollector();
+    const cachedDbMetrics = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      metrics: collector,
+    });
+    return cachedDbMetrics.cacheInvalidate({ id: newId }).then(() => cachedDbMetrics.retrieve({ id: newId }))
+      .then(() => cachedDbMetrics.retrieve({ id: newId }))
+      .then(() => cachedDbMetrics.retrieve({ id: { } }).catch(() => null))
+      .then(() => {
+        expect(collector.counter('cachedb_cache_hits_total', { table: testTable })).to.equal(1);
+        expect(collector.counter('cachedb_cache_misses_total', { table: testTable })).to.equal(1);
+        expect(collector.counter('cachedb_errors_total', { error: 'InvalidIdentifierError' })).to.equal(1);
+        const text = CachedRethinkDB.toPrometheus(collector);
+        expect(text).to.contain('# TYPE cachedb_cache_hits_total counter');
+        expect(text).to.contain(`cachedb_cache_hits_total{table="${testTable}"} 1`);
+        expect(text).to.contain(`cachedb_redis_duration_seconds_count{table="${testTable}",command="get"} 2`);
+        expect(text).to.contain(`cachedb_db_duration_seconds_count{table="${testTable}",operation="dbRetrieve"} 1`);
+      });
+  });
+
+  // hooks
+  it('should fail to construct with invalid timestamps', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      timestamps: 'yes',
+    })).to.throw('timestamps must be a boolean or an object');
+  });
+
+  it('should fail to register an unknown hook', () => {
+    expect(() => cachedDb.use({ beforeRetrieve: () => null })).to.throw('Unknown hook beforeRetrieve');
+  });
+
+  it('should stamp entries on create and update with the timestamps option', () => {
+    const cachedDbStamped = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      timestamps: { updatedAt: 'modifiedAt' },
+    });
+    let stampedId;
+    let createdAt;
+    return cachedDbStamped.create({ entry: { foo: 'stamped' } }).then((entry) => {
+      stampedId = { uuid: entry.uuid };
+      expect(entry.createdAt).to.be.instanceof(Date);
+      createdAt = new Date(entry.createdAt);
+      expect(createdAt.getTime()).to.be.a('number');
+      expect(new Date(entry.modifiedAt).getTime()).to.equal(createdAt.getTime());
+      return Promise.delay(5).then(() => cachedDbStamped.update({ id: stampedId, updateObjOrFn: { foo: 'restamped' } }));
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'restamped');
+      expect(new Date(entry.createdAt).getTime()).to.equal(createdAt.getTime());
+      expect(new Date(entry.modifiedAt).getTime()).to.be.above(createdAt.getTime());
+      return cachedDbStamped.purge({ id: stampedId });
+    });
+  });
+
+  it('should keep queueing stamped updates with the timestamps and writeBehind options', () => {
+    const cachedDbStamped = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      timestamps: true,
+      writeBehind: { interval: 60000 },
+    });
+    let stampedId;
+    let createdAt;
+    return cachedDbStamped.create({ entry: { foo: 'stamped' } }).then((entry) => {
+      stampedId = { uuid: entry.uuid };
+      createdAt = new Date(entry.createdAt);
+      return Promise.delay(5).then(() => cachedDbStamped.update({ id: stampedId, updateObjOrFn: { foo: 'queued' } }));
+    }).then((entry) => {
+      expect(cachedDbStamped.writeBehind.size).to.equal(1);
+      expect(entry).to.have.property('foo', 'queued');
+      expect(new Date(entry.updatedAt).getTime()).to.be.above(createdAt.getTime());
+      return cachedDbStamped.flush({ });
+    }).then(() => cachedDbStamped.dbRetrieve({ id: stampedId }))
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'queued');
+        expect(entry.updatedAt).to.be.instanceof(Date);
+        return cachedDbStamped.purge({ id: stampedId });
+      });
+  });
+
+  it('should let before-hooks change or reject an entry and pass results to after-hooks', () => {
+    const cachedDbHooked = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+    });
+    const seen = [];
+    cachedDbHooked.on('beforeCreate', ({entry}) => {
+      if (entry.foo === 'forbidden') {
+        throw new Error('Entry is forbidden');
+      }
+      return Object.assign({}, entry, { hooked: true });
+    });
+    cachedDbHooked.on('afterUpdate', ({reqId, entry, changed}) => {
+      seen.push({ reqId, foo: entry.foo, changed });
+    });
+    let hookedId;
+    return cachedDbHooked.create({ entry: { foo: 'forbidden' } }).then((entry) => {
+      expect(entry).to.not.exist;
+    }).catch((err) => {
+      expect(err).to.have.property('message', 'Entry is forbidden');
+      return cachedDbHooked.create({ entry: { foo: 'allowed' } });
+    }).then((entry) => {
+      expect(entry).to.have.property('hooked', true);
+      hookedId = { uuid: entry.uuid };
+      return cachedDbHooked.update({ reqId: 'req-3', id: hookedId, updateObjOrFn: { foo: 'changed' } });
+    }).then(() => {
+      expect(seen).to.deep.equal([{ reqId: 'req-3', foo: 'changed', changed: true }]);
+      return cachedDbHooked.createMany({ entries: [{ foo: 'forbidden' }, { foo: 'allowed' }] });
+    }).then((results) => {
+      expect(results[0]).to.have.property('ok', false);
+      expect(results[0]).to.have.deep.property('error.message', 'Entry is forbidden');
+      expect(results[1]).to.have.deep.property('entry.hooked', true);
+      return cachedDbHooked.deleteMany({ ids: [hookedId, { uuid: results[1].entry.uuid }] });
+    });
+  });
+
+  it('should report failing after-hooks as hookError without failing the write', () => {
+    const cachedDbHooked = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+    });
+    const hookErrors = [];
+    cachedDbHooked.on('afterCreate', () => {
+      throw new Error('Hook failed');
+    });
+    cachedDbHooked.on('hookError', (err, {hook}) => hookErrors.push({ hook, message: err.message }));
+    let hookedId;
+    return cachedDbHooked.create({ entry: { foo: 'after' } }).then((entry) => {
+      expect(entry).to.have.property('foo', 'after');
+      hookedId = { uuid: entry.uuid };
+      return cachedDbHooked.createMany({ entries: [{ foo: 'after' }] });
+    }).then((results) => {
+      expect(results[0]).to.have.property('ok', true);
+      expect(hookErrors).to.deep.equal([
+        { hook: 'afterCreate', message: 'Hook failed' },
+        { hook: 'afterCreate', message: 'Hook failed' },
+      ]);
+      return cachedDbHooked.deleteMany({ ids: [hookedId, { uuid: results[0].entry.uuid }] });
+    });
+  });
+
+  // audit
+  it('should fail to construct with invalid audit', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      audit: 'yes',
+    })).to.throw('audit must be a boolean or an object');
+  });
+
+  it('should fail to read history without audit', () => cachedDb.history({ id: stdId }).then((records) => {
+    expect(records).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(CachedRethinkDB.InvalidArgumentError);
+    expect(err).to.have.property('message', 'history requires audit');
+  }));
+
+  it('should record changes in the history table and revert to a previous version', () => {
+    const cachedDbAudited = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      softDelete: true,
+      audit: true,
+    });
+    let auditedId;
+    return cachedDbAudited.audit.createTable({ }).then(() => cachedDbAudited.create({ reqId: 'req-4', entry: { foo: 'v1', nested: { a: 1 } }, actor: 'alice' }))
+      .then((entry) => {
+        auditedId = { uuid: entry.uuid };
+        return cachedDbAudited.update({ id: auditedId, updateObjOrFn: { foo: 'v2', nested: { b: 2 }, extra: true }, actor: 'bob' });
+      })
+      .then(() => cachedDbAudited.delete({ id: auditedId, actor: 'carol' }))
+      .then(() => cachedDbAudited.history({ id: auditedId }))
+      .then((records) => {
+        expect(records.map(record => record.operation)).to.deep.equal(['delete', 'update', 'create']);
+        expect(records.map(record => record.version)).to.deep.equal([3, 2, 1]);
+        expect(records[2]).to.have.property('reqId', 'req-4');
+        expect(records[2]).to.have.property('actor', 'alice');
+        expect(records[2]).to.have.property('table', testTable);
+        expect(records[2]).to.have.property('entryId', auditedId.uuid);
+        expect(records[2].timestamp).to.be.instanceof(Date);
+        expect(records[0].sequence).to.be.above(records[1].sequence);
+        expect(records[1].sequence).to.be.above(records[2].sequence);
+        expect(records[1].diff).to.deep.equal({
+          foo: { from: 'v1', to: 'v2' },
+          nested: { from: { a: 1 }, to: { a: 1, b: 2 } },
+          extra: { to: true },
+        });
+        return cachedDbAudited.history({ id: auditedId, limit: 1 });
+      })
+      .then((records) => {
+        expect(records).to.have.length(1);
+        expect(records[0]).to.have.property('version', 3);
+        return cachedDbAudited.revert({ id: auditedId, toVersion: 1, actor: 'dave' });
+      })
+      .then((entry) => {
+        expect(entry).to.deep.equal({ uuid: auditedId.uuid, foo: 'v1', nested: { a: 1 } });
+        return cachedDbAudited.history({ id: auditedId, limit: 1 });
+      })
+      .then((records) => {
+        expect(records[0]).to.have.property('version', 4);
+        expect(records[0]).to.have.property('operation', 'update');
+        expect(records[0]).to.have.property('actor', 'dave');
+        return cachedDbAudited.revert({ id: auditedId, toVersion: 9 });
+      })
+      .then((result) => {
+        expect(result).to.not.exist;
+      })
+      .catch((err) => {
+        expect(err).to.be.instanceof(CachedRethinkDB.NotFoundError);
+        expect(err).to.have.property('message', 'Version 9 of entry does not exist');
+        expect(err).to.have.property('operation', 'revert');
+        return cachedDbAudited.purge({ id: auditedId });
+      })
+      .then(() => cachedDbAudited.audit.dropTable({ }));
+  });
+
+  it('should not record a change when only the key order of a nested object differs', () => {
+    const cachedDbAudited = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      audit: true,
+    });
+    return cachedDbAudited.audit.record({
+      operation: 'update',
+      changes: [{ old_val: { uuid: 'same', nested: { a: 1, b: [{ c: 2, d: 3 }] } }, new_val: { uuid: 'same', nested: { b: [{ d: 3, c: 2 }], a: 1 } } }],
+    }).then((count) => {
+      expect(count).to.equal(0);
+    });
+  });
+
+  // tenants
+  it('should fail to get a tenant view with an invalid tenant id', () => {
+    expect(() => cachedDb.forTenant('')).to.throw('Parameter tenantId must be a non-empty string without colon');
+    expect(() => cachedDb.forTenant('a:b')).to.throw('Parameter tenantId must be a non-empty string without colon');
+    expect(() => cachedDb.forTenant('acme').forTenant('globex')).to.throw('forTenant cannot be called on a tenant view');
+  });
+
+  it('should keep entries of a tenant out of reach of other tenants', () => {
+    const cachedDbTenants = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      tenantField: 'tenant',
+    });
+    const acme = cachedDbTenants.forTenant('acme');
+    const globex = cachedDbTenants.forTenant('globex');
+    expect(cachedDbTenants.forTenant('acme')).to.equal(acme);
+    expect(acme.redis).to.equal(redisClient);
+    expect(acme.dbConn).to.equal(rethinkdbConnection);
+    let acmeId;
+    return acme.create({ entry: { foo: 'acme' } }).then((entry) => {
+      expect(entry).to.have.property('tenant', 'acme');
+      acmeId = { uuid: entry.uuid };
+      return redisClient.getAsync(`${testTable}:acme:${entry.uuid}`);
+    }).then((cached) => {
+      expect(cached).to.contain('"acme"');
+      return globex.retrieve({ id: acmeId });
+    }).then((entry) => {
+      expect(entry).to.be.null;
+      return globex.update({ id: acmeId, updateObjOrFn: { foo: 'globex' } });
+    }).then((result) => {
+      expect(result).to.not.exist;
+    }).catch((err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.NotFoundError);
+      return acme.update({ id: acmeId, updateObjOrFn: { foo: 'moved', tenant: 'globex' } });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'moved');
+      expect(entry).to.have.property('tenant', 'acme');
+      return globex.delete({ id: acmeId });
+    }).then(() => acme.retrieve({ id: acmeId }))
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'moved');
+        return acme.purge({ id: acmeId });
+      });
+  });
+
+  it('should not let a tenant view replace rows of another tenant on create', () => {
+    const cachedDbTenants = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      tenantField: 'tenant',
+    });
+    const acme = cachedDbTenants.forTenant('acme');
+    const globex = cachedDbTenants.forTenant('globex');
+    let acmeId;
+    return acme.create({ entry: { foo: 'acme' } }).then((entry) => {
+      acmeId = { uuid: entry.uuid };
+      return globex.dbCreate({ entry: { uuid: entry.uuid, foo: 'stolen' } });
+    }).then((entry) => {
+      expect(entry).to.not.exist;
+    }, (err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.ConflictError);
+      return cachedDbTenants.dbRetrieve({ id: acmeId });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'acme');
+      expect(entry).to.have.property('tenant', 'acme');
+      return acme.dbCreate({ entry: { uuid: acmeId.uuid, foo: 'replaced' } });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'replaced');
+      return acme.purge({ id: acmeId });
+    });
+  });
+
+  it('should sync the keys of the root and of the tenant on changes seen by the root', () => {
+    const cachedDbTenants = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      tenantField: 'tenant',
+    });
+    let oldVal;
+    let newVal;
+    return cachedDbTenants.create({ entry: { foo: 'shared', tenant: 'acme' } }).then((entry) => {
+      oldVal = entry;
+      newVal = Object.assign({}, entry, { foo: 'synced' });
+      return cachedDbTenants.forTenant('acme').retrieve({ id: { uuid: entry.uuid } });
+    }).then(() => {
+      cachedDbTenants.tenants.clear();
+      return cachedDbTenants.cacheSync({ change: { old_val: oldVal, new_val: newVal } });
+    }).then(() => Promise.all([
+      redisClient.getAsync(`${testTable}:${oldVal.uuid}`),
+      redisClient.getAsync(`${testTable}:acme:${oldVal.uuid}`),
+    ])).then((cached) => {
+      expect(cached[0]).to.contain('"synced"');
+      expect(cached[1]).to.contain('"synced"');
+      expect(cachedDbTenants.tenants.size).to.equal(0);
+      return cachedDbTenants.cacheSync({ change: { old_val: null, new_val: Object.assign({}, newVal, { tenant: 'a:b' }) } });
+    }).then(() => redisClient.getAsync(`${testTable}:${oldVal.uuid}`))
+      .then((cached) => {
+        expect(cached).to.contain('"a:b"');
+        return cachedDbTenants.purge({ id: { uuid: oldVal.uuid } });
+      })
+      .then(() => redisClient.delAsync(`${testTable}:acme:${oldVal.uuid}`));
+  });
+
+  it('should use a table per tenant without tenantField', () => {
+    const tenantTable = cachedDb.forTenant('initech');
+    expect(tenantTable.table).to.equal(`${testTable}_initech`);
+    return tenantTable.dbCreateTable({ }).then(() => tenantTable.create({ entry: { foo: 'initech' } })).then((entry) => {
+      expect(entry).to.not.have.property('tenant');
+      return tenantTable.dbRetrieve({ id: { uuid: entry.uuid } }).then((dbEntry) => {
+        expect(dbEntry).to.have.property('foo', 'initech');
+        return cachedDb.dbRetrieve({ id: { uuid: entry.uuid } });
+      });
+    }).then((dbEntry) => {
+      expect(dbEntry).to.be.null;
+      return tenantTable.dbDropTable({ });
+    });
+  });
+
+  // connection pool
+  it('should fail to construct with invalid connection settings', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: 'localhost',
+      table: testTable,
+      logger,
+    })).to.throw('rethinkdb must be a connection or connection settings');
+  });
+
+  it('should run queries on its own connection pool and reconnect after losing a connection', () => {
+    const cachedDbPooled = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: Object.assign({ pool: { size: 1, retryDelay: 10 } }, rethinkdbOpts),
+      table: testTable,
+      logger,
+    });
+    const events = [];
+    ['dbConnected', 'dbDisconnected', 'dbReconnected'].forEach((event) => {
+      cachedDbPooled.on(event, () => events.push(event));
+    });
+    let pooledId;
+    return cachedDbPooled.create({ entry: { foo: 'pooled' } }).then((entry) => {
+      pooledId = { uuid: entry.uuid };
+      expect(events).to.deep.equal(['dbConnected']);
+      return cachedDbPooled.pool.slots[0].conn.close();
+    }).then(() => {
+      expect(events).to.deep.equal(['dbConnected', 'dbDisconnected']);
+      return cachedDbPooled.dbRetrieve({ id: pooledId });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'pooled');
+      expect(events).to.deep.equal(['dbConnected', 'dbDisconnected', 'dbReconnected']);
+      return cachedDbPooled.purge({ id: pooledId });
+    }).then(() => cachedDbPooled.close())
+      .then(() => cachedDb.dbRetrieve({ id: pooledId }))
+      .then((entry) => {
+        expect(entry).to.be.null;
+        expect(cachedDbPooled.pool.isOpen).to.be.false;
+        return cachedDbPooled.dbRetrieve({ id: pooledId });
+      })
+      .then((entry) => {
+        expect(entry).to.not.exist;
+      })
+      .catch((err) => {
+        expect(err).to.be.instanceof(CachedRethinkDB.DatabaseError);
+        expect(err).to.have.property('message', 'Connection pool is closed');
+      });
+  });
+
+  it('should stop waiting for a connection once acquireTimeout passes', () => {
+    const cachedDbPooled = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: Object.assign({}, rethinkdbOpts, { port: 1, pool: { size: 1, retryDelay: 10000, acquireTimeout: 50 } }),
+      table: testTable,
+      logger,
+    });
+    return cachedDbPooled.pool.acquire().then((slot) => {
+      expect(slot).to.not.exist;
+    }, (err) => {
+      expect(err).to.have.property('message', 'No DB connection available');
+      expect(cachedDbPooled.pool.waiting).to.be.empty;
+      return cachedDbPooled.close();
+    });
+  });
+
+  // schema and migrations
+  it('should report, create and drop tables and indexes to match a schema spec', () => {
+    const cachedDbSchema = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: 'unittestschema',
+      logger,
+    });
+    const indexes = {
+      foo: 'foo',
+      fooBar: ['foo', 'bar'],
+      tags: { fields: 'tags', multi: true },
+      location: { fields: 'location', geo: true },
+      fooLength: { fn: row => row('foo').count() },
+    };
+    return cachedDbSchema.ensureSchema({ indexes, dryRun: true }).then((diff) => {
+      expect(diff).to.deep.equal({
+        table: 'unittestschema',
+        createTables: ['unittestschema'],
+        createIndexes: ['foo', 'fooBar', 'tags', 'location', 'fooLength'],
+        dropIndexes: [],
+      });
+      return cachedDbSchema.ensureSchema({ indexes });
+    }).then(() => r.table('unittestschema').indexList().run(rethinkdbConnection))
+      .then((created) => {
+        expect(created.sort()).to.deep.equal(['foo', 'fooBar', 'fooLength', 'location', 'tags']);
+        expect(cachedDbSchema.indexes.get('fooBar')).to.deep.equal(['foo', 'bar']);
+        expect(cachedDbSchema.indexes.has('tags')).to.be.false;
+        return cachedDbSchema.ensureSchema({ indexes });
+      })
+      .then((diff) => {
+        expect(diff.createTables).to.be.empty;
+        expect(diff.createIndexes).to.be.empty;
+        expect(diff.dropIndexes).to.be.empty;
+        return cachedDbSchema.ensureSchema({ indexes: { foo: 'foo', bar: 'bar' } });
+      })
+      .then((diff) => {
+        expect(diff.createIndexes).to.deep.equal(['bar']);
+        expect(diff.dropIndexes.sort()).to.deep.equal(['fooBar', 'fooLength', 'location', 'tags']);
+        expect(cachedDbSchema.indexes.has('fooBar')).to.be.false;
+        return cachedDbSchema.dbCreateSimpleIndex({ field: 'bar' });
+      })
+      .then((indexField) => {
+        expect(indexField).to.not.exist;
+      })
+      .catch((err) => {
+        expect(err).to.be.instanceof(r.Error.ReqlOpFailedError);
+      });
+  });
+
+  it('should apply pending migrations once and flush the entries they change from cache', () => {
+    const cachedDbSchema = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: 'unittestschema',
+      logger,
+    });
+    const migrations = [{
+      version: 2,
+      name: 'flag migrated entries',
+      up: ({run}) => run(r.table('unittestschema').update({ migrated: true }, { returnChanges: true })),
+    }, {
+      version: 1,
+      name: 'noop',
+      up: () => null,
+    }];
+    let migratedId;
+    return cachedDbSchema.create({ entry: { foo: 'premigration' } }).then((entry) => {
+      migratedId = { uuid: entry.uuid };
+      return cachedDbSchema.migrate({ migrations, dryRun: true });
+    }).then((pending) => {
+      expect(pending).to.deep.equal([{ version: 1, name: 'noop' }, { version: 2, name: 'flag migrated entries' }]);
+      return cachedDbSchema.migrate({ migrations });
+    }).then((applied) => {
+      expect(applied.map(migration => migration.version)).to.deep.equal([1, 2]);
+      return redisClient.getAsync(`unittestschema:${migratedId.uuid}`);
+    }).then((cached) => {
+      expect(cached).to.be.null;
+      return cachedDbSchema.retrieve({ id: migratedId });
+    }).then((entry) => {
+      expect(entry).to.have.property('migrated', true);
+      return cachedDbSchema.migrate({ migrations: migrations.concat({ version: 3, up: () => { throw new Error('boom'); } }) });
+    }).then((applied) => {
+      expect(applied).to.not.exist;
+    }).catch((err) => {
+      expect(err).to.be.instanceof(CachedRethinkDB.DatabaseWriteError);
+      expect(err).to.have.property('message', 'Migration 3 failed');
+      expect(err).to.have.deep.property('cause.message', 'boom');
+      return cachedDbSchema.migrate({ migrations, dryRun: true });
+    }).then((pending) => {
+      expect(pending).to.be.empty;
+      return r.table('unittestschema_migrations').get(2).run(rethinkdbConnection);
+    }).then((record) => {
+      expect(record).to.have.property('status', 'done');
+      expect(record.appliedAt).to.be.instanceof(Date);
+      return r.table('unittestschema_migrations').insert({ version: 4, status: 'running' }).run(rethinkdbConnection);
+    }).then(() => cachedDbSchema.migrate({ migrations }))
+      .then((applied) => {
+        expect(applied).to.not.exist;
+      }, (err) => {
+        expect(err).to.be.instanceof(CachedRethinkDB.ConflictError);
+        expect(err).to.have.property('message', 'Migration 4 is running or was interrupted');
+      })
+      .then(() => Promise.all([
+        r.tableDrop('unittestschema').run(rethinkdbConnection),
+        r.tableDrop('unittestschema_migrations').run(rethinkdbConnection),
+      ]));
+  });
+
+  // warm up and flush
+  it('should fail to warm the cache with an invalid batchSize', () => cachedDb.warmCache({ batchSize: 0 }).then((progress) => {
+    expect(progress).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(CachedRethinkDB.InvalidArgumentError);
+    expect(err).to.have.property('message', 'Parameter batchSize must be a positive integer');
+  }));
+
+  it('should flush the cache of a table only and warm it again from DB', () => {
+    const otherKey = `${testTableCustom}:flush-survivor`;
+    const lockKey = `${testTable}:lock:${testTable}:flush-lock`;
+    const updates = [];
+    let warmedId;
+    return cachedDb.create({ entry: { foo: 'warm' } }).then((entry) => {
+      warmedId = entry.uuid;
+      return Promise.all([redisClient.setAsync(otherKey, 'keep'), redisClient.setAsync(lockKey, 'token')]);
+    }).then(() => cachedDb.flushCache({ count: 10 }))
+      .then((deleted) => {
+        expect(deleted).to.be.above(0);
+        return Promise.all([
+          redisClient.getAsync(`${testTable}:${warmedId}`),
+          redisClient.getAsync(otherKey),
+          redisClient.getAsync(lockKey),
+        ]);
+      })
+      .then((values) => {
+        expect(values[0]).to.be.null;
+        expect(values[1]).to.equal('keep');
+        expect(values[2]).to.equal('token');
+        return cachedDb.warmCache({ batchSize: 2, concurrency: 2, onProgress: progress => updates.push(progress) });
+      })
+      .then((progress) => {
+        expect(progress.scanned).to.be.above(0);
+        expect(progress.cached).to.be.above(0);
+        expect(progress.cached + progress.skipped).to.equal(progress.scanned);
+        expect(updates[updates.length - 1]).to.deep.equal(progress);
+        return cachedDb.warmCache({ batchSize: 2 });
+      })
+      .then((progress) => {
+        expect(progress.cached).to.equal(0);
+        expect(progress.skipped).to.equal(progress.scanned);
+        return cachedDb.cacheFetch({ id: { uuid: warmedId } });
+      })
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'warm');
+        return Promise.all([cachedDb.purge({ id: { uuid: warmedId } }), redisClient.delAsync(otherKey, lockKey)]);
+      });
+  });
+
+  it('should warm the rows of a tenant under the keys of its view', () => {
+    const cachedDbTenants = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      tenantField: 'tenant',
+    });
+    let acmeId;
+    return cachedDbTenants.forTenant('acme').create({ entry: { foo: 'warm' } }).then((entry) => {
+      acmeId = { uuid: entry.uuid };
+      return cachedDbTenants.flushCache();
+    }).then(() => {
+      cachedDbTenants.tenants.clear();
+      return cachedDbTenants.warmCache();
+    }).then(() => Promise.all([
+      redisClient.getAsync(`${testTable}:acme:${acmeId.uuid}`),
+      redisClient.getAsync(`${testTable}:${acmeId.uuid}`),
+    ])).then((cached) => {
+      expect(cached[0]).to.contain('"warm"');
+      expect(cached[1]).to.be.null;
+      expect(cachedDbTenants.tenants.size).to.equal(0);
+      return cachedDbTenants.forTenant('acme').purge({ id: acmeId });
+    });
+  });
+
+  // local cache
+  it('should fail to construct with invalid localCache', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      localCache: 'yes',
+    })).to.throw('localCache must be a boolean or an object');
+  });
+
+  it('should serve hot entries from the local cache and drop them on writes from other processes', () => {
+    const options = {
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      localCache: { maxEntries: 10, ttl: 60000 },
+    };
+    const writer = new CachedRethinkDB(options);
+    const reader = new CachedRethinkDB(options);
+    let hotId;
+    return writer.create({ entry: { foo: 'hot' } }).then((entry) => {
+      hotId = { uuid: entry.uuid };
+      return reader.retrieve({ id: hotId });
+    }).then(() => reader.retrieve({ id: hotId }))
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'hot');
+        expect(reader.stats.localHits).to.equal(1);
+        expect(reader.localCache.size).to.equal(1);
+        return writer.update({ id: hotId, updateObjOrFn: { foo: 'hotter' } });
+      })
+      .then(() => Promise.delay(50))
+      .then(() => {
+        expect(reader.localCache.size).to.equal(0);
+        return reader.retrieve({ id: hotId });
+      })
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'hotter');
+        return writer.purge({ id: hotId });
+      })
+      .then(() => Promise.all([writer.close(), reader.close()]));
+  });
+
+  it('should evict the least recently used local entries past maxEntries or maxBytes', () => {
+    const cachedDbLocal = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      localCache: { maxEntries: 2, maxBytes: 64, ttl: 60000 },
+    });
+    const localCache = cachedDbLocal.localCache;
+    const generation = localCache.readGeneration();
+    localCache.set('a', { foo: 'a' }, generation);
+    localCache.set('b', { foo: 'b' }, generation);
+    expect(localCache.get('a')).to.have.property('foo', 'a');
+    localCache.set('c', { foo: 'c' }, generation);
+    expect(localCache.size).to.equal(2);
+    expect(localCache.get('b')).to.equal(undefined);
+    localCache.set('d', { foo: 'd'.repeat(50) }, generation);
+    expect(localCache.size).to.equal(1);
+    expect(localCache.get('d')).to.have.property('foo');
+    localCache.set('e', { foo: 'e'.repeat(80) }, generation);
+    expect(localCache.get('e')).to.equal(undefined);
+    expect(localCache.bytes).to.be.at.most(64);
+    return cachedDbLocal.close();
+  });
+
+  it('should expire local entries after ttl and not keep copies read before an invalidation', () => {
+    const cachedDbLocal = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      localCache: { ttl: 30 },
+    });
+    const localCache = cachedDbLocal.localCache;
+    let generation = localCache.readGeneration();
+    localCache.set('a', { foo: 'a' }, generation);
+    expect(localCache.get('a')).to.have.property('foo', 'a');
+    return Promise.delay(40).then(() => {
+      expect(localCache.get('a')).to.equal(undefined);
+      expect(localCache.size).to.equal(0);
+      generation = localCache.readGeneration();
+      localCache.drop('b');
+      localCache.set('b', { foo: 'old' }, generation);
+      localCache.set('a', { foo: 'a' }, generation);
+      expect(localCache.get('b')).to.equal(undefined);
+      expect(localCache.get('a')).to.have.property('foo', 'a');
+      return cachedDbLocal.close();
+    });
+  });
+
+  it('should drop local copies only for keys written outside of fills', () => {
+    const cachedDbLocal = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      localCache: { ttl: 60000 },
+    });
+    const localCache = cachedDbLocal.localCache;
+    const key = `${testTable}:local-fill`;
+    const entry = { uuid: 'local-fill', foo: 'redis' };
+    localCache.set(key, { uuid: 'local-fill', foo: 'local' }, localCache.readGeneration());
+    return cachedDbLocal.cacheSetMany({ entries: [entry], fill: true }).then(() => {
+      expect(localCache.get(key)).to.have.property('foo', 'local');
+      return cachedDbLocal.cacheSetMany({ entries: [entry], onlyMissing: true });
+    }).then((written) => {
+      expect(written).to.be.empty;
+      expect(localCache.get(key)).to.have.property('foo', 'local');
+      return cachedDbLocal.cacheSetMany({ entries: [entry] });
+    }).then(() => {
+      expect(localCache.get(key)).to.equal(undefined);
+      return redisClient.delAsync(key);
+    }).then(() => cachedDbLocal.close());
+  });
+
+  it('should survive errors of the local cache subscriber', () => {
+    const cachedDbLocal = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      localCache: { ttl: 60000 },
+    });
+    const localCache = cachedDbLocal.localCache;
+    const reported = [];
+    cachedDbLocal.on('localCacheError', err => reported.push(err.message));
+    localCache.set('a', { foo: 'a' }, localCache.readGeneration());
+    localCache.subscriber.emit('error', new Error('Connection lost'));
+    expect(reported).to.deep.equal(['Connection lost']);
+    expect(localCache.size).to.equal(0);
+    return cachedDbLocal.close();
+  });
+
+  // soft TTL
+  it('should fail to construct with a softTTL not lower than redisTTL', () => {
+    expect(() => new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      redisTTL: 60,
+      softTTL: 60,
+    })).to.throw('softTTL must be a number lower than redisTTL');
+  });
+
+  it('should serve stale entries at once and refresh them in the background', () => {
+    const softDb = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      softTTL: 60,
+    });
+    const now = Date.now;
+    let staleId;
+    return softDb.create({ entry: { foo: 'fresh' } }).then((entry) => {
+      staleId = { uuid: entry.uuid };
+      return r.table(testTable).get(entry.uuid).update({ foo: 'refreshed' }).run(rethinkdbConnection);
+    }).then(() => softDb.retrieve({ id: staleId }))
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'fresh');
+        expect(softDb.stats.hits).to.equal(1);
+        // Past the fresh-until time of the cached copy
+        Date.now = () => now() + 61000;
+        return softDb.retrieve({ id: staleId });
+      })
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'fresh');
+        expect(softDb.stats.staleHits).to.equal(1);
+        expect(softDb.inflightLoads.size).to.equal(1);
+        return Promise.all(Array.from(softDb.inflightLoads.values()));
+      })
+      .then(() => softDb.retrieve({ id: staleId }))
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'refreshed');
+        expect(softDb.stats.hits).to.equal(2);
+        return softDb.purge({ id: staleId });
+      })
+      .finally(() => {
+        Date.now = now;
+      });
+  });
+
+  it('should read entries cached with softTTL from an instance without it', () => {
+    const softDb = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      softTTL: 60,
+    });
+    const plainDb = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+    });
+    let softId;
+    return softDb.create({ entry: { foo: 'soft' } }).then((entry) => {
+      softId = { uuid: entry.uuid };
+      return redisClient.getAsync(`${testTable}:${entry.uuid}`);
+    }).then((cached) => {
+      expect(cached[0]).to.equal('@');
+      return plainDb.cacheFetch({ id: softId });
+    }).then((entry) => {
+      expect(entry).to.have.property('foo', 'soft');
+      return plainDb.purge({ id: softId });
+    });
+  });
+
+  it('should refresh stale entries served in bulk and update from fresh entries', () => {
+    const softDb = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      softTTL: 60,
+      writeBehind: { interval: 60000 },
+    });
+    const now = Date.now;
+    let staleId;
+    return softDb.create({ entry: { foo: 'fresh' } }).then((entry) => {
+      staleId = { uuid: entry.uuid };
+      return r.table(testTable).get(entry.uuid).update({ foo: 'refreshed' }).run(rethinkdbConnection);
+    }).then(() => {
+      Date.now = () => now() + 61000;
+      return softDb.retrieveMany({ ids: [staleId] });
+    }).then((entries) => {
+      expect(entries[0]).to.have.property('foo', 'fresh');
+      expect(softDb.stats.staleHits).to.equal(1);
+      expect(softDb.inflightLoads.size).to.equal(1);
+      return Promise.all(Array.from(softDb.inflightLoads.values()));
+    }).then(() => softDb.retrieveMany({ ids: [staleId] }))
+      .then((entries) => {
+        expect(entries[0]).to.have.property('foo', 'refreshed');
+        return r.table(testTable).get(staleId.uuid).update({ foo: 'changed' }).run(rethinkdbConnection);
+      })
+      .then(() => {
+        Date.now = () => now() + 122000;
+        return softDb.update({ id: staleId, updateObjOrFn: { counter: 1 } });
+      })
+      .then((entry) => {
+        expect(entry).to.have.property('foo', 'changed');
+        expect(entry).to.have.property('counter', 1);
+        return softDb.flush({ });
+      })
+      .then(() => softDb.purge({ id: staleId }))
+      .finally(() => {
+        Date.now = now;
+      });
+  });
+
+  // bulk
+  it('should fail to create entries in bulk without entries array', () => cachedDb.createMany({ entries: { foo: 'bulk' } }).then((results) => {
+    expect(results).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(Error);
+    expect(err).to.have.deep.property('message', 'Parameter entries must be an array');
+  }));
+
+  it('should be able to create, update and delete entries in bulk with per-item results', () => {
+    let bulkIds;
+    return cachedDb.createMany({ entries: [{ foo: 'bulk', n: 0 }, { foo: 'bulk', n: 1 }] }).then((results) => {
+      expect(results).to.have.length(2);
+      results.forEach((result, idx) => {
+        expect(result).to.have.property('ok', true);
+        expect(result).to.have.deep.property('entry.n', idx);
+        expect(result).to.have.deep.property('entry.uuid').that.is.a('string');
+      });
+      bulkIds = results.map(result => ({ uuid: result.entry.uuid }));
+      return cachedDb.retrieveMany({ ids: bulkIds });
+    }).then((entries) => {
+      expect(entries.map(entry => entry.n)).to.deep.equal([0, 1]);
+      return cachedDb.updateMany({ ids: [bulkIds[0], stdInexistId, { }, bulkIds[1]], updateObjOrFn: { foo: 'bulked' } });
+    }).then((results) => {
+      expect(results).to.have.length(4);
+      expect(results[0]).to.have.property('ok', true);
+      expect(results[0]).to.have.property('changed', true);
+      expect(results[0]).to.have.deep.property('entry.foo', 'bulked');
+      expect(results[1]).to.have.property('ok', false);
+      expect(results[1]).to.have.deep.property('error.message', 'Entry does not exist');
+      expect(results[2]).to.have.property('ok', false);
+      expect(results[2]).to.have.deep.property('error.message', 'uuid cannot be undefined or null');
+      expect(results[3]).to.have.deep.property('entry.n', 1);
+      return Promise.all([
+        cachedDb.cacheFetchMany({ ids: bulkIds }),
+        cachedDb.findByIndex({ index: 'foo', value: 'bulked' }),
+      ]);
+    }).then((results) => {
+      expect(results[0].map(entry => entry.foo)).to.deep.equal(['bulked', 'bulked']);
+      expect(results[1]).to.have.length(2);
+      return cachedDb.deleteMany({ ids: bulkIds.concat([{ }]) });
+    }).then((results) => {
+      expect(results.slice(0, 2)).to.deep.equal([{ ok: true, id: bulkIds[0] }, { ok: true, id: bulkIds[1] }]);
+      expect(results[2]).to.have.property('ok', false);
+      return Promise.all([
+        cachedDb.cacheFetchMany({ ids: bulkIds }),
+        cachedDb.dbRetrieveMany({ ids: bulkIds }),
+        cachedDb.findByIndex({ index: 'foo', value: 'bulked' }),
+      ]);
+    }).then((results) => {
+      expect(results).to.deep.equal([[null, null], [null, null], []]);
+    });
+  });
+
+  it('should fail to restore entry without softDelete', () => cachedDb.restore({ id: newId }).then((entry) => {
+    expect(entry).to.not.exist;
+  }).catch((err) => {
+    expect(err).to.be.instanceof(Error);
+    expect(err).to.have.deep.property('message', 'restore requires softDelete');
+  }));
+
+  // write-behind
+  it('should fail to construct with invalid writeBehind', () => {
+    try {
+      const cachedDbBehind = new CachedRethinkDB({
+        redis: redisClient,
+        rethinkdb: rethinkdbConnection,
+        table: testTable,
+        logger,
+        writeBehind: 'yes',
+      });
+      expect(cachedDbBehind).to.not.exist;
+    } catch (err) {
+      expect(err).to.be.instanceof(Error);
+      expect(err).to.have.deep.property('message', 'writeBehind must be a boolean or an object');
+    }
+  });
+
+  it('should be able to queue updates and flush them with writeBehind', () => {
+    const cachedDbBehind = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      writeBehind: { interval: 60000 },
+    });
+    return cachedDbBehind.update({ id: newId, updateObjOrFn: { counter: 1, nested: { behind: 'yes' } } })
+      .then(() => cachedDbBehind.update({ id: newId, updateObjOrFn: { counter: 2 }, returnChanged: true }))
+      .then((result) => {
+        newEntry.counter = 2;
+        newEntry.nested.behind = 'yes';
+        expect(result).to.have.property('changed', true);
+        expect(result.entry).to.deep.equal(newEntry);
+        expect(cachedDbBehind.writeBehind.size).to.equal(1);
+        return Promise.all([cachedDbBehind.retrieve({ id: newId }), cachedDbBehind.dbRetrieve({ id: newId })]);
+      })
+      .then((entries) => {
+        expect(entries[0]).to.deep.equal(newEntry);
+        expect(entries[1]).to.not.have.property('counter');
+        return cachedDbBehind.close({ });
+      })
+      .then(() => cachedDbBehind.dbRetrieve({ id: newId }))
+      .then((entry) => {
+        expect(cachedDbBehind.writeBehind.size).to.equal(0);
+        expect(entry).to.deep.equal(newEntry);
+      });
+  });
+
+  it('should write updates of versioned entries through with writeBehind', () => {
+    const cachedDbBehind = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      versionField: 'version',
+      writeBehind: { interval: 60000 },
+    });
+    let versionedId;
+    return cachedDbBehind.create({ entry: { foo: 'versioned-behind' } }).then((entry) => {
+      versionedId = { uuid: entry.uuid };
+      return cachedDbBehind.update({ id: versionedId, updateObjOrFn: { counter: 1 } });
+    }).then((entry) => {
+      expect(entry).to.have.property('version', 2);
+      expect(cachedDbBehind.writeBehind.size).to.equal(0);
+      return cachedDbBehind.retrieve({ id: versionedId });
+    }).then(entry => cachedDbBehind.update({ id: versionedId, updateObjOrFn: { counter: 2 }, expectedVersion: entry.version }))
+      .then((entry) => {
+        expect(entry).to.have.property('version', 3);
+        expect(entry).to.have.property('counter', 2);
+        return cachedDbBehind.purge({ id: versionedId });
+      });
+  });
+
+  it('should apply pending writes to entries found on an index miss with writeBehind', () => {
+    const cachedDbBehind = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      indexes: { foo: 'foo' },
+      writeBehind: { interval: 60000 },
+    });
+    let behindId;
+    return cachedDbBehind.create({ entry: { foo: 'behind-index' } }).then((entry) => {
+      behindId = { uuid: entry.uuid };
+      return cachedDbBehind.update({ id: behindId, updateObjOrFn: { counter: 5 } });
+    }).then(() => cachedDbBehind.findByIndex({ index: 'foo', value: 'behind-index' }))
+      .then((entries) => {
+        expect(entries).to.have.length(1);
+        expect(entries[0]).to.have.property('counter', 5);
+        return cachedDbBehind.cacheFetch({ id: behindId });
+      })
+      .then((entry) => {
+        expect(entry).to.have.property('counter', 5);
+        return cachedDbBehind.flush({ });
+      })
+      .then(() => cachedDbBehind.purge({ id: behindId }));
+  });
+
+  it('should flush pending writes before function update with writeBehind', () => {
+    const cachedDbBehind = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      writeBehind: { interval: 60000 },
+    });
+    return cachedDbBehind.update({ id: newId, updateObjOrFn: { counter: 3 } })
+      .then(() => cachedDbBehind.update({ id: newId, updateObjOrFn: entry => ({ counter: entry('counter').add(1) }) }))
+      .then((entry) => {
+        newEntry.counter = 4;
+        expect(entry).to.deep.equal(newEntry);
+        expect(cachedDbBehind.writeBehind.size).to.equal(0);
+      });
+  });
+
+  it('should fail only the entries whose pending writes cannot be flushed on updateMany with writeBehind', () => {
+    const cachedDbBehind = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      writeBehind: { interval: 60000 },
+    });
+    const dbUpdate = cachedDbBehind.dbUpdate;
+    let created;
+    return cachedDbBehind.createMany({ entries: [{ foo: 'stuck' }, { foo: 'flushed' }] }).then((results) => {
+      created = results.map(result => ({ uuid: result.entry.uuid }));
+      return Promise.all(created.map(id => cachedDbBehind.update({ id, updateObjOrFn: { counter: 1 } })));
+    }).then(() => {
+      cachedDbBehind.dbUpdate = options => (options.id.uuid === created[0].uuid ?
+        Promise.reject(new CachedRethinkDB.DatabaseError('DB unavailable')) : dbUpdate.call(cachedDbBehind, options));
+      return cachedDbBehind.updateMany({ ids: created, updateObjOrFn: { counter: 2 } });
+    }).then((results) => {
+      cachedDbBehind.dbUpdate = dbUpdate;
+      expect(results[0]).to.have.property('ok', false);
+      expect(results[0].error).to.be.instanceof(CachedRethinkDB.DatabaseError);
+      expect(results[1]).to.have.property('ok', true);
+      expect(results[1]).to.have.deep.property('entry.counter', 2);
+      expect(cachedDbBehind.writeBehind.size).to.equal(1);
+      return cachedDbBehind.flush({ });
+    }).then(() => Promise.all(created.map(id => cachedDbBehind.purge({ id }))));
+  });
+
+  it('should invalidate the cached copy of a dropped pending write with writeBehind', () => {
+    const cachedDbBehind = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+      writeBehind: { interval: 60000 },
+    });
+    const dropped = [];
+    cachedDbBehind.on('writeBehindDropped', (err, info) => dropped.push(info));
+    let droppedId;
+    return cachedDbBehind.create({ entry: { foo: 'behind' } }).then((entry) => {
+      droppedId = { uuid: entry.uuid };
+      return cachedDbBehind.update({ id: droppedId, updateObjOrFn: { foo: 'lost' } });
+    }).then(() => r.table(testTable).get(droppedId.uuid).delete().run(rethinkdbConnection))
+      .then(() => cachedDbBehind.flush({ }))
+      .then((count) => {
+        expect(count).to.not.exist;
+      }, (err) => {
+        expect(err.failures[0].err).to.be.instanceof(CachedRethinkDB.NotFoundError);
+        expect(dropped).to.have.length(1);
+        return redisClient.getAsync(`${testTable}:${droppedId.uuid}`);
+      })
+      .then((cached) => {
+        expect(cached).to.equal(null);
+      });
+  });
+
+  // watch
+  it('should be able to watch table properly', () => cachedDb.watch({ }).then((table) => {
+    expect(table).to.equal(testTable);
+    expect(cachedDb.feed).to.exist;
+  }));
+
+  it('should be able to refresh cache from changes made outside', () => new Promise((resolve) => {
+    cachedDb.once('watchChange', resolve);
+    r.table(testTable).get(newId.uuid).update({ foo: 'changed' }).run(rethinkdbConnection);
+  }).then((change) => {
+    expect(change).to.have.deep.property('new_val.foo', 'changed');
+    return cachedDb.cacheFetch({ id: newId });
+  }).then((entry) => {
+    newEntry.foo = 'changed';
+    expect(entry).to.deep.equal(newEntry);
+  }));
+
+  it('should flush the cache of the table once a dropped feed is back', () => {
+    const cachedDbFeed = new CachedRethinkDB({
+      redis: redisClient,
+      rethinkdb: rethinkdbConnection,
+      table: testTable,
+      logger,
+    });
+    const staleKey = `${testTable}:feed-stale`;
+    return cachedDbFeed.watch({ retryDelay: 10 }).then(() => redisClient.setAsync(staleKey, 'stale'))
+      .then(() => new Promise((resolve) => {
+        cachedDbFeed.once('watchReady', resolve);
+        cachedDbFeed.feed.cursor.close();
+      }))
+      .then((info) => {
+        expect(info).to.have.property('resumed', true);
+        expect(info.flushed).to.be.above(0);
+        return redisClient.getAsync(staleKey);
+      })
+      .then((cached) => {
+        expect(cached).to.equal(null);
+        return cachedDbFeed.unwatch({ });
+      });
+  });
+
+  it('should be able to unwatch table properly', () => cachedDb.unwatch({ }).then((table) => {
+    expect(table).to.equal(testTable);
+    expect(cachedDb.feed).to.be.null;
+  }));
+
   // delete
   it('should fail to delete entry via CRUD operation without uuid', () => cachedDb.delete({ id: {} }).then((id) => {
     expect(id).to.not.exist;